@@ -8,23 +8,54 @@ import TelegramBot from "node-telegram-bot-api";
 import { BOT_TOKEN } from "./src/config.mjs";
 import { createTelegramHelpers } from "./src/utils/telegram.mjs";
 import { ensureJobsDirs } from "./src/services/job-db.mjs";
+import { openStore } from "./src/services/store.mjs";
 import { createWorker } from "./src/services/worker.mjs";
 import { createMessageHandler } from "./src/services/message-router.mjs";
 import { startMcpServers } from "./src/services/mcp-manager.mjs";
+import { startMcpServerMode } from "./src/services/mcp-server.mjs";
+import { recoverInterruptedJobs } from "./src/services/recovery.mjs";
+import { startLogRetentionSchedule } from "./src/services/log-retention.mjs";
 
 ensureJobsDirs();
+// Fail fast on a locked/corrupt store and run the one-time legacy JSON migration
+openStore();
 startMcpServers().catch((err) => {
   console.error("[mcp] startup failed:", err?.message || err);
 });
 
 const bot = new TelegramBot(BOT_TOKEN, { polling: true });
-const { sendMessageSafe, sendDocumentSafe } = createTelegramHelpers(bot);
-const { startWorkerLoop, enqueueJob, cancelJob } = createWorker({ sendMessageSafe, sendDocumentSafe });
+const { sendMessageSafe, sendDocumentSafe, editMessageSafe, answerCallbackSafe } = createTelegramHelpers(bot);
+const { startWorkerLoop, enqueueJob, cancelJob, retryJob, providerStatus } = createWorker({
+  sendMessageSafe,
+  sendDocumentSafe,
+  editMessageSafe,
+});
+
+// Off unless MCP_SERVER_ENABLED=1
+startMcpServerMode({ enqueueJob, cancelJob, sendMessageSafe });
 
 bot.on("polling_error", (err) => {
   console.error("[polling_error]", err?.message || err);
 });
 
-bot.on("message", createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueueJob, cancelJob }));
+const { onMessage, onCallbackQuery } = createMessageHandler({
+  sendMessageSafe,
+  sendDocumentSafe,
+  editMessageSafe,
+  answerCallbackSafe,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  providerStatus,
+});
+
+bot.on("message", onMessage);
+bot.on("callback_query", onCallbackQuery);
 
-startWorkerLoop().catch(() => {});
+// Reconcile jobs orphaned by a previous crash before the worker picks anything up
+recoverInterruptedJobs({ sendMessageSafe })
+  .catch((err) => console.error("[recovery] failed:", err?.message || err))
+  .finally(() => {
+    startWorkerLoop().catch(() => {});
+    startLogRetentionSchedule();
+  });
@@ -1,20 +1,31 @@
 import { CODEX_MODEL, USE_UNSAFE_CODEX } from "../config.mjs";
 
-export function buildCodexArgs(prompt, workdir) {
+// `approvals`: sandboxed, and Codex asks before escalating (prompts are relayed to Telegram)
+// `unsafe`: bypass approvals and sandbox when not relaying (USE_UNSAFE_CODEX by default)
+// `resumeSessionId`: continue an earlier `codex exec` session instead of starting a new one
+// `model`: per-chat / per-job choice; CODEX_MODEL otherwise
+export function buildCodexArgs(
+  prompt,
+  workdir,
+  { approvals = false, unsafe = USE_UNSAFE_CODEX, resumeSessionId = null, model = null } = {}
+) {
   const args = [];
 
   args.push("exec");
 
-  // Force a known model for every invocation (unless overridden via env)
-  args.push("--model", CODEX_MODEL);
+  // Force a known model for every invocation (unless overridden via env or per job)
+  args.push("--model", model || CODEX_MODEL);
 
-  if (USE_UNSAFE_CODEX) {
+  if (approvals) {
+    args.push("--sandbox", "workspace-write", "-a", "on-request");
+  } else if (unsafe) {
     args.push("--dangerously-bypass-approvals-and-sandbox");
   } else {
     args.push("--sandbox", "workspace-write", "-a", "never");
   }
 
   args.push("-C", workdir);
+  if (resumeSessionId) args.push("resume", resumeSessionId);
   args.push(prompt);
 
   return args;
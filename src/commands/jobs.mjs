@@ -0,0 +1,186 @@
+import path from "node:path";
+import { listProviderNames } from "../services/cli-providers.mjs";
+import { listJobs } from "../services/job-db.mjs";
+import { formatDuration } from "../utils/common.mjs";
+
+const PAGE_SIZE = 10;
+const MAX_SAVED_QUERIES = 50;
+
+const STATUSES = ["queued", "running", "succeeded", "failed", "canceled", "interrupted"];
+
+/**
+ * Parse `/jobs` arguments, e.g.:
+ *   /jobs failed gemini repo:api since:3d "migration"
+ *
+ *  - status words: queued|running|succeeded|failed|canceled|interrupted (several = any of)
+ *  - provider names: codex|gemini|openai or any configured CLI provider
+ *  - repo:<basename>
+ *  - since:<N>h|<N>d|<N>w|YYYY-MM-DD, until:<same>
+ *  - "quoted text" or any other word: case-insensitive match within the prompt
+ */
+export function parseJobsQuery(raw) {
+  const filter = { statuses: [], providers: [], repo: null, since: null, until: null, text: [] };
+  const tokens = String(raw || "").match(/"[^"]*"|\S+/g) || [];
+
+  for (const token of tokens) {
+    const lower = token.toLowerCase();
+    if (token.startsWith('"')) {
+      const phrase = token.slice(1, -1).trim();
+      if (phrase) filter.text.push(phrase.toLowerCase());
+    } else if (STATUSES.includes(lower)) {
+      filter.statuses.push(lower);
+    } else if (listProviderNames().includes(lower)) {
+      filter.providers.push(lower);
+    } else if (lower.startsWith("repo:")) {
+      filter.repo = lower.slice(5) || null;
+    } else if (lower.startsWith("since:") || lower.startsWith("until:")) {
+      const key = lower.slice(0, 5);
+      const date = parseDateArg(token.slice(6));
+      if (!date) throw new Error(`Bad date in ${token} (use 12h, 3d, 2w or YYYY-MM-DD)`);
+      filter[key] = date.toISOString();
+    } else {
+      filter.text.push(lower);
+    }
+  }
+
+  return filter;
+}
+
+function parseDateArg(s) {
+  const rel = String(s || "").match(/^(\d+)([hdw])$/i);
+  if (rel) {
+    const unitMs = { h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[rel[2].toLowerCase()];
+    return new Date(Date.now() - Number(rel[1]) * unitMs);
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return null;
+}
+
+export function filterJobs(jobs, filter) {
+  return jobs.filter((j) => {
+    if (filter.statuses.length && !filter.statuses.includes(j.status)) return false;
+    if (filter.providers.length && !filter.providers.includes((j.provider || "codex").toLowerCase())) return false;
+    if (filter.repo && path.basename(j.workdir || "").toLowerCase() !== filter.repo) return false;
+    if (filter.since && j.createdAt < filter.since) return false;
+    if (filter.until && j.createdAt > filter.until) return false;
+    if (filter.text.length) {
+      const prompt = String(j.prompt || "").toLowerCase();
+      if (!filter.text.every((t) => prompt.includes(t))) return false;
+    }
+    return true;
+  });
+}
+
+function jobDuration(j) {
+  if (!j.startedAt) return null;
+  const end = j.finishedAt ? Date.parse(j.finishedAt) : j.status === "running" ? Date.now() : null;
+  if (!end) return null;
+  return formatDuration(end - Date.parse(j.startedAt));
+}
+
+function formatRow(j) {
+  const parts = [
+    j.id,
+    j.status.padEnd(9),
+    j.createdAt.replace("T", " ").slice(0, 16),
+    j.workdir ? `(${path.basename(j.workdir)})` : null,
+    j.provider ? `[${j.provider}]` : null,
+    jobDuration(j),
+    j.usage?.totalTokens ? `${j.usage.totalTokens.toLocaleString()} tok` : null,
+    j.status === "running" && j.slot ? `slot ${j.slot}` : null,
+  ];
+  return parts.filter(Boolean).join("  ");
+}
+
+function describeFilter(filter) {
+  const parts = [
+    ...filter.statuses,
+    ...filter.providers,
+    filter.repo ? `repo:${filter.repo}` : null,
+    filter.since ? `since ${filter.since.slice(0, 16).replace("T", " ")}` : null,
+    filter.until ? `until ${filter.until.slice(0, 16).replace("T", " ")}` : null,
+    ...filter.text.map((t) => `"${t}"`),
+  ].filter(Boolean);
+  return parts.length ? parts.join(" ") : "all";
+}
+
+/**
+ * /jobs [filters…] with inline-keyboard paging.
+ *
+ * Callback data must fit in 64 bytes, so the parsed filter is kept in memory under a short
+ * key (`jobs:<key>:<page>`); after a restart old buttons just ask for a fresh /jobs.
+ */
+export function createJobsCommand({ sendMessageSafe, editMessageSafe }) {
+  const savedQueries = new Map();
+  let nextKey = 1;
+
+  function saveQuery(chatId, filter) {
+    const key = (nextKey++).toString(36);
+    savedQueries.set(key, { chatId, filter });
+    if (savedQueries.size > MAX_SAVED_QUERIES) savedQueries.delete(savedQueries.keys().next().value);
+    return key;
+  }
+
+  function renderPage(chatId, key, filter, page) {
+    const matches = filterJobs(
+      listJobs().filter((j) => j.chatId === chatId),
+      filter
+    ).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (!matches.length) {
+      const desc = describeFilter(filter);
+      return { text: desc === "all" ? "No jobs yet." : `No jobs match: ${desc}`, markup: null };
+    }
+
+    const pages = Math.ceil(matches.length / PAGE_SIZE);
+    const p = Math.min(Math.max(0, page), pages - 1);
+    const rows = matches.slice(p * PAGE_SIZE, (p + 1) * PAGE_SIZE);
+
+    const text =
+      `Jobs (${describeFilter(filter)}) — ${matches.length} found, page ${p + 1}/${pages}:\n` +
+      rows.map(formatRow).join("\n");
+
+    const keyboard = [];
+    for (let i = 0; i < rows.length; i += 2) {
+      keyboard.push(rows.slice(i, i + 2).map((j) => ({ text: `🔎 ${j.id}`, callback_data: `job:${j.id}` })));
+    }
+    if (pages > 1) {
+      const nav = [];
+      if (p > 0) nav.push({ text: "« Prev", callback_data: `jobs:${key}:${p - 1}` });
+      nav.push({ text: `${p + 1}/${pages}`, callback_data: `jobs:${key}:${p}` });
+      if (p < pages - 1) nav.push({ text: "Next »", callback_data: `jobs:${key}:${p + 1}` });
+      keyboard.push(nav);
+    }
+
+    return { text, markup: { inline_keyboard: keyboard } };
+  }
+
+  async function runJobsCommand(chatId, rawArgs) {
+    let filter;
+    try {
+      filter = parseJobsQuery(rawArgs);
+    } catch (e) {
+      return sendMessageSafe(chatId, `❌ ${e.message}`);
+    }
+
+    const key = saveQuery(chatId, filter);
+    const { text, markup } = renderPage(chatId, key, filter, 0);
+    return sendMessageSafe(chatId, text, markup ? { reply_markup: markup } : {});
+  }
+
+  // Returns a short toast for answerCallbackQuery
+  async function onJobsPage(chatId, messageId, data) {
+    const [, key, pageStr] = data.split(":");
+    const saved = savedQueries.get(key);
+    if (!saved || saved.chatId !== chatId) return "This listing expired — run /jobs again.";
+
+    const { text, markup } = renderPage(chatId, key, saved.filter, Number(pageStr) || 0);
+    await editMessageSafe(chatId, messageId, text, markup ? { reply_markup: markup } : {});
+    return "";
+  }
+
+  return { runJobsCommand, onJobsPage };
+}
@@ -6,6 +6,11 @@ dotenv.config();
 
 export const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 export const ALLOWED_CHAT_ID = process.env.ALLOWED_CHAT_ID ? String(process.env.ALLOWED_CHAT_ID) : null;
+// Chats allowed to run admin commands (/purge); defaults to ALLOWED_CHAT_ID, empty = everyone allowed
+export const ADMIN_CHAT_IDS = String(process.env.ADMIN_CHAT_IDS || ALLOWED_CHAT_ID || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
 
 export const WORKDIR = process.env.WORKDIR; // default/fallback repo
 
@@ -14,22 +19,128 @@ export const CODEX_BIN = process.env.CODEX_BIN || "codex";
 export const CODEX_MODEL = process.env.CODEX_MODEL || "gpt-5.1-codex-max";
 
 export const CODEX_TIMEOUT_MS = Number(process.env.CODEX_TIMEOUT_MS || 60 * 60 * 1000);
-export const USE_UNSAFE_CODEX = String(process.env.USE_UNSAFE_CODEX || "1") === "1";
+// Opt-in: run Codex with --dangerously-bypass-approvals-and-sandbox
+export const USE_UNSAFE_CODEX = String(process.env.USE_UNSAFE_CODEX || "0") === "1";
+// Run Codex in a pty and relay its approval prompts to Telegram (Approve/Deny buttons).
+// When on, the sandbox bypass above is ignored: Codex runs sandboxed with `-a on-request`,
+// or with `-a never` if node-pty cannot be loaded (nothing could answer the prompts).
+export const CODEX_APPROVAL_RELAY = String(process.env.CODEX_APPROVAL_RELAY || "0") === "1";
+// Matched against the last few lines of ANSI-stripped output
+export const CODEX_APPROVAL_PROMPT_REGEX =
+  process.env.CODEX_APPROVAL_PROMPT_REGEX ||
+  "(allow (this )?command\\?|approve\\b.*\\?|would you like to (run|apply|make)|\\[y/n\\]|\\(y/n\\)|yes, proceed)";
+// Keystrokes written back to the pty; a literal "\r" / "\n" in the env value becomes Enter
+export const CODEX_APPROVAL_YES = (process.env.CODEX_APPROVAL_YES || "y\\r").replace(/\\r/g, "\r").replace(/\\n/g, "\n");
+export const CODEX_APPROVAL_NO = (process.env.CODEX_APPROVAL_NO || "n\\r").replace(/\\r/g, "\r").replace(/\\n/g, "\n");
+// Unanswered prompts are denied after this long
+export const APPROVAL_TIMEOUT_SEC = Number(process.env.APPROVAL_TIMEOUT_SEC || 15 * 60);
+
+// MCP tool policy for Gemini/OpenAI jobs, under each chat's own /tools rules.
+// Rules: "glob:action,..." with action allow|deny|confirm, e.g. "github_merge_*:confirm,github_delete_*:deny"
+export const TOOL_POLICY_RULES = process.env.TOOL_POLICY_RULES || "";
+// Action for tools no rule matches
+export const TOOL_POLICY_DEFAULT = (process.env.TOOL_POLICY_DEFAULT || "allow").toLowerCase();
 
 export const TELEGRAM_SEND_DELAY_MS = Number(process.env.TELEGRAM_SEND_DELAY_MS || 900);
 export const TELEGRAM_MAX_CHARS = Number(process.env.TELEGRAM_MAX_CHARS || 3500);
 export const HEARTBEAT_SEC = Number(process.env.HEARTBEAT_SEC || 25);
+// Live progress message: min gap between edits, and how many output lines / tool calls it shows
+export const PROGRESS_EDIT_INTERVAL_MS = Number(process.env.PROGRESS_EDIT_INTERVAL_MS || 5000);
+export const PROGRESS_TAIL_LINES = Number(process.env.PROGRESS_TAIL_LINES || 6);
+export const PROGRESS_MAX_TOOL_CALLS = Number(process.env.PROGRESS_MAX_TOOL_CALLS || 8);
 
 export const JOBS_DIR = process.env.JOBS_DIR || path.join(os.homedir(), ".codex-bot");
-export const JOBS_DB_PATH = path.join(JOBS_DIR, "jobs.json");
 export const JOB_LOGS_DIR = path.join(JOBS_DIR, "logs");
 
+// Log retention for JOB_LOGS_DIR: gzip after N days, delete after M days or past count/size caps
+export const LOG_COMPRESS_AFTER_DAYS = Number(process.env.LOG_COMPRESS_AFTER_DAYS || 2);
+export const LOG_MAX_AGE_DAYS = Number(process.env.LOG_MAX_AGE_DAYS || 30);
+export const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES || 1000);
+export const LOG_MAX_TOTAL_MB = Number(process.env.LOG_MAX_TOTAL_MB || 500);
+export const LOG_RETENTION_INTERVAL_MIN = Number(process.env.LOG_RETENTION_INTERVAL_MIN || 60);
+
+// State store (snapshot + append-only journal); see services/store.mjs
+export const STORE_SNAPSHOT_PATH = path.join(JOBS_DIR, "store.json");
+export const STORE_JOURNAL_PATH = path.join(JOBS_DIR, "store.journal.jsonl");
+export const STORE_LOCK_PATH = path.join(JOBS_DIR, "store.lock");
+export const STORE_COMPACT_EVERY = Number(process.env.STORE_COMPACT_EVERY || 500);
+
+// Legacy per-service JSON files, imported into the store once on first start
+export const JOBS_DB_PATH = path.join(JOBS_DIR, "jobs.json");
+
+// Worker pool: jobs on different repos run in parallel, same-repo jobs stay serialized
+export const WORKER_CONCURRENCY = Math.max(1, Number(process.env.WORKER_CONCURRENCY || 2));
+
+// Crash recovery for jobs left "running" by a previous bot process.
+// Format: "provider:action,..." with action "requeue" or "interrupt"; unlisted providers are interrupted.
+export const JOB_RECOVERY_POLICY = process.env.JOB_RECOVERY_POLICY || "codex:interrupt,gemini:requeue";
+export const JOB_RECOVERY_MAX_REQUEUES = Number(process.env.JOB_RECOVERY_MAX_REQUEUES || 2);
+
+// Automatic retry of transient failures (opt-in), exponential backoff between attempts
+export const AUTO_RETRY_ENABLED = String(process.env.AUTO_RETRY_ENABLED || "0") === "1";
+export const AUTO_RETRY_MAX_ATTEMPTS = Number(process.env.AUTO_RETRY_MAX_ATTEMPTS || 3);
+export const AUTO_RETRY_BASE_DELAY_MS = Number(process.env.AUTO_RETRY_BASE_DELAY_MS || 30 * 1000);
+export const AUTO_RETRY_MAX_DELAY_MS = Number(process.env.AUTO_RETRY_MAX_DELAY_MS || 10 * 60 * 1000);
+
 export const MAX_INLINE_OUTPUT_CHARS = Number(process.env.MAX_INLINE_OUTPUT_CHARS || 12000);
 export const MEMORY_HIGH_MB = Number(process.env.MEMORY_HIGH_MB || 900);
 
 // Gemini
 export const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
 export const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-pro";
+// Tried in order after GEMINI_MODEL once its quota is exhausted (comma-separated)
+export const GEMINI_FALLBACK_MODELS = (process.env.GEMINI_FALLBACK_MODELS || "gemini-2.5-flash")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+// Per generate call: retries on 429/5xx with exponential backoff (retry-after hints win when present)
+export const GEMINI_RETRY_MAX_ATTEMPTS = Number(process.env.GEMINI_RETRY_MAX_ATTEMPTS || 5);
+export const GEMINI_RETRY_BASE_DELAY_MS = Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 2000);
+export const GEMINI_RETRY_MAX_DELAY_MS = Number(process.env.GEMINI_RETRY_MAX_DELAY_MS || 60 * 1000);
+// Conversation history replayed into follow-up Gemini jobs; older turns are compacted past this size
+export const GEMINI_SESSION_MAX_CHARS = Number(process.env.GEMINI_SESSION_MAX_CHARS || 200000);
+export const GEMINI_SESSION_TOOL_RESULT_CHARS = Number(process.env.GEMINI_SESSION_TOOL_RESULT_CHARS || 2000);
+
+// OpenAI-compatible chat-completions endpoint (Ollama, llama.cpp server, vLLM, ...)
+export const OPENAI_COMPAT_BASE_URL = (process.env.OPENAI_COMPAT_BASE_URL || "http://127.0.0.1:11434/v1").replace(/\/+$/, "");
+export const OPENAI_COMPAT_API_KEY = process.env.OPENAI_COMPAT_API_KEY || "";
+export const OPENAI_COMPAT_MODEL = process.env.OPENAI_COMPAT_MODEL || "llama3.1";
+// Per request; local models can be slow on long contexts
+export const OPENAI_COMPAT_TIMEOUT_MS = Number(process.env.OPENAI_COMPAT_TIMEOUT_MS || 10 * 60 * 1000);
+
+// /providers and fallback routing reuse a provider's health check for this long
+export const PROVIDER_HEALTH_TTL_SEC = Number(process.env.PROVIDER_HEALTH_TTL_SEC || 60);
+
+// Extra agent CLIs (aider, opencode, scripts, ...) defined in JSON; see services/cli-providers.mjs
+export const CLI_PROVIDERS_PATH = process.env.CLI_PROVIDERS_PATH || "cli-providers.json";
+
+// MCP servers (mcp.json is watched and hot-reloaded); see services/mcp-manager.mjs
+export const MCP_CONFIG_PATH = process.env.MCP_CONFIG_PATH || "mcp.json";
+export const MCP_HEALTH_INTERVAL_SEC = Number(process.env.MCP_HEALTH_INTERVAL_SEC || 60);
+export const MCP_HEALTH_TIMEOUT_MS = Number(process.env.MCP_HEALTH_TIMEOUT_MS || 10 * 1000);
+// Crashed or unreachable servers are retried forever, backing off up to the max delay
+export const MCP_RECONNECT_BASE_DELAY_MS = Number(process.env.MCP_RECONNECT_BASE_DELAY_MS || 2000);
+export const MCP_RECONNECT_MAX_DELAY_MS = Number(process.env.MCP_RECONNECT_MAX_DELAY_MS || 5 * 60 * 1000);
+
+// Optional MCP server exposing the job queue to other agents/scripts (streamable HTTP, POST /mcp).
+// Tokens are "<chatId>=<token>,...": a client sees and owns only its chat's jobs, and results
+// are still posted to that chat.
+export const MCP_SERVER_ENABLED = String(process.env.MCP_SERVER_ENABLED || "0") === "1";
+export const MCP_SERVER_HOST = process.env.MCP_SERVER_HOST || "127.0.0.1";
+export const MCP_SERVER_PORT = Number(process.env.MCP_SERVER_PORT || 8765);
+export const MCP_SERVER_TOKENS = process.env.MCP_SERVER_TOKENS || "";
+
+// Tool-call traces (job-<id>.trace.jsonl next to the job log)
+export const TRACE_RESULT_MAX_CHARS = Number(process.env.TRACE_RESULT_MAX_CHARS || 2000);
+export const TRACE_ARG_MAX_CHARS = Number(process.env.TRACE_ARG_MAX_CHARS || 4000);
+// Redaction on top of the built-ins: argument/result keys to blank (regex) and value patterns
+// (comma-separated regexes); values of secret env vars (tokens, API keys) are always masked
+export const TRACE_REDACT_KEYS_DEFAULT = "token|secret|password|passwd|authorization|api[_-]?key|cookie|credential";
+export const TRACE_REDACT_KEYS = process.env.TRACE_REDACT_KEYS || TRACE_REDACT_KEYS_DEFAULT;
+export const TRACE_REDACT_PATTERNS = process.env.TRACE_REDACT_PATTERNS || "";
+
+// Usage accounting: per-model prices (USD per 1M tokens), merged over built-in defaults
+export const PRICE_TABLE_PATH = process.env.PRICE_TABLE_PATH || "prices.json";
 
 // Repomix
 export const REPOMIX_BIN = process.env.REPOMIX_BIN || "repomix";
@@ -38,6 +149,7 @@ export const REPOMIX_DEFAULT_STYLE = (process.env.REPOMIX_DEFAULT_STYLE || "xml"
 
 // Repo switching
 export const REPOS_BASE_DIR = process.env.REPOS_BASE_DIR || path.join(os.homedir(), "Projects", "work");
+// Legacy files (migrated into the store, like JOBS_DB_PATH)
 export const CHAT_REPO_DB_PATH = path.join(JOBS_DIR, "chat-repos.json");
 export const PROVIDER_DB_PATH = path.join(JOBS_DIR, "chat-providers.json");
 
@@ -12,4 +12,9 @@ export default class BaseProvider {
   async abort(job) {
     return false;
   }
+
+  // -> { ok, model?, version?, detail?, error? }; must be cheap and never throw
+  async healthCheck() {
+    return { ok: true };
+  }
 }
@@ -0,0 +1,221 @@
+import fs from "node:fs";
+import { spawn } from "node:child_process";
+import { exec, nowIso, shellQuote } from "../utils/common.mjs";
+import BaseProvider from "./BaseProvider.mjs";
+
+const HEALTH_TIMEOUT_MS = 10 * 1000;
+
+let ptyModule;
+
+// node-pty is a native addon; if it isn't built for this platform we fall back to `script`
+export async function loadPty() {
+  if (ptyModule !== undefined) return ptyModule;
+  try {
+    ptyModule = await import("node-pty");
+  } catch (e) {
+    console.error("[cli] node-pty unavailable, falling back to script(1):", e?.message || e);
+    ptyModule = null;
+  }
+  return ptyModule;
+}
+
+// Both return { pid, write(data)|null, kill(signal), exited: Promise<{ code, signal }> }
+function spawnScript(bin, args, { cwd, env, onData }) {
+  const cmdStr = [bin, ...args].map((a) => shellQuote(a)).join(" ");
+  const child = spawn("bash", ["-lc", `script -qfc ${shellQuote(cmdStr)} /dev/null`], {
+    cwd,
+    env,
+    stdio: ["ignore", "pipe", "pipe"],
+    // Own process group, so a kill reaches the tool under script, not just the wrapper
+    detached: true,
+  });
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+
+  return {
+    pid: child.pid,
+    write: null,
+    kill: (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch {
+        child.kill(signal);
+      }
+    },
+    exited: new Promise((resolve) => {
+      child.on("close", (code, signal) => resolve({ code, signal }));
+      child.on("error", (err) => resolve({ code: 1, signal: "spawn_error", err }));
+    }),
+  };
+}
+
+function spawnPty(pty, bin, args, { cwd, env, onData }) {
+  let term;
+  try {
+    term = pty.spawn(bin, args, { name: "xterm-256color", cols: 160, rows: 48, cwd, env });
+  } catch (err) {
+    return { pid: null, write: null, kill: () => {}, exited: Promise.resolve({ code: 1, signal: "spawn_error", err }) };
+  }
+  term.onData(onData);
+
+  return {
+    pid: term.pid,
+    write: (data) => term.write(data),
+    kill: (signal) => term.kill(signal),
+    exited: new Promise((resolve) => {
+      term.onExit(({ exitCode, signal }) => resolve({ code: exitCode, signal: signal || null }));
+    }),
+  };
+}
+
+/**
+ * Shared machinery for providers that run an agent CLI: spawn in a pty (node-pty when
+ * `usePty`, else under `script`, so the tool sees a tty and flushes output), stream into the
+ * log + progress message, keep the tail, enforce the timeout and kill on abort. Subclasses
+ * supply the command line and usage parsing, and may watch output via `onOutput`.
+ */
+export default class CliProvider extends BaseProvider {
+  constructor({ name, bin, timeoutMs, env = {}, usePty = false, versionArgs = ["--version"] }) {
+    super();
+    this.name = name;
+    this.bin = bin;
+    this.versionArgs = versionArgs;
+    this.timeoutMs = timeoutMs;
+    this.env = env;
+    this.usePty = usePty;
+    this.running = new Map();
+  }
+
+  // -> array of argv entries after the binary; `interactive` is true when stdin is a live pty
+  buildArgs(_job, _workdir, { interactive: _interactive = false } = {}) {
+    throw new Error("buildArgs() must be implemented by CLI provider");
+  }
+
+  // Called with every output chunk; `run` has { job, write (null unless interactive), log, progress,
+  // extra }. Fields put on `run.extra` are merged into the execute() result.
+  onOutput(_text, _run) {}
+
+  // Called once the process has exited (also after abort/timeout)
+  onExit(_job) {}
+
+  // -> usage object (at least { totalTokens }) or null
+  parseUsage(_combinedTail) {
+    return null;
+  }
+
+  // Default model (from config); a job may carry its own in `job.model`
+  get model() {
+    return null;
+  }
+
+  modelFor(job) {
+    return job?.model || this.model;
+  }
+
+  async execute(job, context) {
+    const { workdir, logPath, onPid, progress } = context;
+
+    const pty = this.usePty ? await loadPty() : null;
+    const args = this.buildArgs(job, workdir, { interactive: Boolean(pty) });
+
+    const outStream = fs.createWriteStream(logPath, { flags: "a" });
+    outStream.write(
+      `== job ${job.id} ==\nstarted: ${nowIso()}\ncmd: ${this.bin} ${args
+        .map((a) => JSON.stringify(a))
+        .join(" ")}\n` +
+        (pty ? "pty: node-pty\n" : "") +
+        `\n`
+    );
+
+    let combinedTail = "";
+    const tailLimit = 14000;
+
+    const log = (s) => {
+      outStream.write(s);
+      combinedTail += s;
+      if (combinedTail.length > tailLimit) {
+        combinedTail = combinedTail.slice(combinedTail.length - tailLimit);
+      }
+    };
+
+    const run = { job, write: null, log, progress, extra: {} };
+
+    const onData = (data) => {
+      const s = data.toString("utf8");
+      log(s);
+      progress?.output(s);
+      this.onOutput(s, run);
+    };
+
+    const spawnOpts = { cwd: workdir, env: { ...process.env, ...this.env }, onData };
+    const child = pty ? spawnPty(pty, this.bin, args, spawnOpts) : spawnScript(this.bin, args, spawnOpts);
+    run.write = child.write;
+
+    this.running.set(job.id, child);
+    if (onPid && child.pid) onPid(child.pid);
+
+    const killTimer = setTimeout(() => {
+      try {
+        outStream.write(`\n\n[bot] timeout after ${this.timeoutMs}ms; killing process.\n`);
+      } catch {}
+      try {
+        child.kill("SIGKILL");
+      } catch {}
+    }, this.timeoutMs);
+
+    const exitInfo = await child.exited;
+
+    clearTimeout(killTimer);
+    this.running.delete(job.id);
+    this.onExit(job);
+
+    outStream.write(`\n\nended: ${nowIso()}\nexit: ${JSON.stringify(exitInfo)}\n`);
+    outStream.end();
+
+    return {
+      combinedTail,
+      exitInfo,
+      model: this.modelFor(job),
+      provider: this.name,
+      usage: this.parseUsage(combinedTail),
+      ...run.extra,
+    };
+  }
+
+  // Resolved the way jobs run it (login shell), then `<bin> --version`
+  async healthCheck() {
+    let binPath;
+    try {
+      const out = await exec("bash", ["-lc", `command -v ${shellQuote(this.bin)}`], { timeout: HEALTH_TIMEOUT_MS });
+      // Login shells may print profile noise first; the path is the last line
+      binPath = out.split("\n").pop().trim();
+    } catch {
+      binPath = "";
+    }
+    if (!binPath) return { ok: false, model: this.model, error: `${this.bin} not found on PATH` };
+
+    let version = null;
+    if (this.versionArgs?.length) {
+      try {
+        const out = await exec(binPath, this.versionArgs, { timeout: HEALTH_TIMEOUT_MS, env: { ...process.env, ...this.env } });
+        version = out.split("\n").find((l) => l.trim())?.trim().slice(0, 80) || null;
+      } catch (e) {
+        return { ok: false, model: this.model, detail: binPath, error: `version check failed: ${String(e?.message || e).slice(0, 200)}` };
+      }
+    }
+    return { ok: true, model: this.model, version, detail: binPath };
+  }
+
+  async abort(job) {
+    const child = this.running.get(job.id);
+    if (!child) return false;
+    try {
+      child.kill("SIGKILL");
+      return true;
+    } catch {
+      return false;
+    } finally {
+      this.running.delete(job.id);
+    }
+  }
+}
@@ -1,119 +1,126 @@
-import fs from "node:fs";
-import { spawn } from "node:child_process";
 import {
+  CODEX_APPROVAL_NO,
+  CODEX_APPROVAL_PROMPT_REGEX,
+  CODEX_APPROVAL_RELAY,
+  CODEX_APPROVAL_YES,
   CODEX_BIN,
   CODEX_MODEL,
   CODEX_TIMEOUT_MS,
-  HEARTBEAT_SEC,
   USE_UNSAFE_CODEX,
 } from "../config.mjs";
 import { buildCodexArgs, makeBigTaskPrompt } from "../commands/codex.mjs";
-import { nowIso, shellQuote, sleep } from "../utils/common.mjs";
-import BaseProvider from "./BaseProvider.mjs";
+import { cancelApprovalsForJob, requestApproval } from "../services/approvals.mjs";
+import { parseTokensUsed, stripAnsi } from "../utils/common.mjs";
+import CliProvider from "./CliProvider.mjs";
+
+const SCREEN_CHARS = 4000;
+// Printed in the `codex exec` banner, e.g. "session id: 0199a213-81c0-7800-8aa1-bbab2a035a53"
+const SESSION_ID_RE = /session id:\s*([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+const BANNER_CHARS = 8000;
+const PROMPT_WINDOW_LINES = 8;
+const PROMPT_DETAIL_LINES = 20;
+
+function lastLines(text, n) {
+  return text
+    .split(/\r?\n|\r/)
+    .map((l) => l.trimEnd())
+    .filter((l) => l.trim())
+    .slice(-n)
+    .join("\n");
+}
 
-export default class CodexCliProvider extends BaseProvider {
-  constructor({ sendMessageSafe }) {
-    super();
+export default class CodexCliProvider extends CliProvider {
+  constructor({ sendMessageSafe, editMessageSafe }) {
+    super({ name: "codex", bin: CODEX_BIN, timeoutMs: CODEX_TIMEOUT_MS, usePty: CODEX_APPROVAL_RELAY });
     this.sendMessageSafe = sendMessageSafe;
-    this.running = new Map();
+    this.editMessageSafe = editMessageSafe;
+    this.promptRegex = new RegExp(CODEX_APPROVAL_PROMPT_REGEX, "i");
+    // job id -> { screen, waiting } for approval-prompt detection
+    this.watchers = new Map();
   }
 
-  async execute(job, context) {
-    const { workdir, logPath, onPid } = context;
-
-    const fullPrompt = makeBigTaskPrompt(job.prompt);
-    const args = buildCodexArgs(fullPrompt, workdir);
-
-    const outStream = fs.createWriteStream(logPath, { flags: "a" });
-    outStream.write(
-      `== job ${job.id} ==\nstarted: ${nowIso()}\ncmd: ${CODEX_BIN} ${args
-        .map((a) => JSON.stringify(a))
-        .join(" ")}\n\n`
-    );
-
-    let finished = false;
-    let lastHeartbeat = Date.now();
-
-    const cmdStr = [CODEX_BIN, ...args].map((a) => shellQuote(a)).join(" ");
+  get model() {
+    return CODEX_MODEL;
+  }
 
-    const child = spawn("bash", ["-lc", `script -qfc ${shellQuote(cmdStr)} /dev/null`], {
-      cwd: workdir,
-      env: process.env,
-      stdio: ["ignore", "pipe", "pipe"],
+  // Approvals only make sense when we can answer them, i.e. in a real pty. With the relay on
+  // but no pty, Codex still runs sandboxed (`-a never`), never with the bypass.
+  // A resumed session already has the instructions, so the follow-up goes in as typed.
+  buildArgs(job, workdir, { interactive = false } = {}) {
+    const resumeSessionId = job.codexResumeSessionId || null;
+    if (CODEX_APPROVAL_RELAY && !interactive) {
+      console.error(`[codex] job ${job.id}: approval relay needs node-pty; running sandboxed without approvals`);
+    }
+    return buildCodexArgs(resumeSessionId ? job.prompt.trim() : makeBigTaskPrompt(job.prompt), workdir, {
+      approvals: CODEX_APPROVAL_RELAY && interactive,
+      unsafe: USE_UNSAFE_CODEX && !CODEX_APPROVAL_RELAY,
+      resumeSessionId,
+      model: this.modelFor(job),
     });
+  }
 
-    this.running.set(job.id, child);
-    if (onPid) onPid(child.pid);
-
-    const heartbeatTimer = setInterval(async () => {
-      if (finished) return;
-      const now = Date.now();
-      if (now - lastHeartbeat >= HEARTBEAT_SEC * 1000) {
-        lastHeartbeat = now;
-        try {
-          await this.sendMessageSafe(job.chatId, `⏳ Job ${job.id} still running…`);
-        } catch {
-          // ignore
-        }
-      }
-    }, 1000);
-
-    let combinedTail = "";
-    const tailLimit = 14000;
+  // Codex only prints a total ("tokens used"), no prompt/completion split
+  parseUsage(combinedTail) {
+    const totalTokens = parseTokensUsed(combinedTail);
+    return totalTokens ? { totalTokens } : null;
+  }
 
-    const onData = (data) => {
-      const s = data.toString("utf8");
-      outStream.write(s);
+  onOutput(text, run) {
+    let w = this.watchers.get(run.job.id);
+    if (!w) this.watchers.set(run.job.id, (w = { banner: "", screen: "", waiting: false }));
+    const plain = stripAnsi(text);
 
-      combinedTail += s;
-      if (combinedTail.length > tailLimit) {
-        combinedTail = combinedTail.slice(combinedTail.length - tailLimit);
-      }
-    };
+    // The session id is in the banner; keep looking until it turns up
+    if (!run.extra.codexSessionId && w.banner.length < BANNER_CHARS) {
+      w.banner += plain;
+      const m = w.banner.match(SESSION_ID_RE);
+      if (m) run.extra.codexSessionId = m[1];
+    }
 
-    child.stdout.on("data", onData);
-    child.stderr.on("data", onData);
+    if (!CODEX_APPROVAL_RELAY || !run.write) return;
 
-    const killTimer = setTimeout(() => {
-      try {
-        outStream.write(`\n\n[bot] timeout after ${CODEX_TIMEOUT_MS}ms; killing process.\n`);
-      } catch {}
-      try {
-        child.kill("SIGKILL");
-      } catch {}
-    }, CODEX_TIMEOUT_MS);
+    w.screen = (w.screen + plain).slice(-SCREEN_CHARS);
+    if (w.waiting) return;
+    if (!this.promptRegex.test(lastLines(w.screen, PROMPT_WINDOW_LINES))) return;
 
-    const exitInfo = await new Promise((resolve) => {
-      child.on("close", (code, signal) => resolve({ code, signal }));
-      child.on("error", (err) => resolve({ code: 1, signal: "spawn_error", err }));
+    w.waiting = true;
+    this.relayApproval(run, w).catch((e) => {
+      console.error(`[codex] approval relay failed for job ${run.job.id}:`, e?.message || e);
     });
-
-    clearTimeout(killTimer);
-    clearInterval(heartbeatTimer);
-    finished = true;
-    this.running.delete(job.id);
-
-    outStream.write(`\n\nended: ${nowIso()}\nexit: ${JSON.stringify(exitInfo)}\n`);
-    outStream.end();
-
-    return {
-      combinedTail,
-      exitInfo,
-      model: CODEX_MODEL,
-      provider: "codex",
-    };
   }
 
-  async abort(job) {
-    const child = this.running.get(job.id);
-    if (!child) return false;
+  async relayApproval(run, w) {
+    const { job } = run;
+    run.log(`\n[bot] approval prompt detected; asking in Telegram\n`);
+    run.progress?.output("⏸ Waiting for approval in Telegram…\n");
+
+    let decision;
     try {
-      child.kill("SIGKILL");
-      return true;
-    } catch {
-      return false;
+      decision = await requestApproval({
+        sendMessageSafe: this.sendMessageSafe,
+        editMessageSafe: this.editMessageSafe,
+        chatId: job.chatId,
+        jobId: job.id,
+        title: "Codex is asking",
+        detail: lastLines(w.screen, PROMPT_DETAIL_LINES),
+      });
+    } catch (e) {
+      // Codex is blocked on the prompt; answer it rather than leave the job hanging until its timeout
+      decision = "denied";
+      run.log(`\n[bot] approval request failed (${e?.message || e}); denying\n`);
     } finally {
-      this.running.delete(job.id);
+      // Start fresh so the answered prompt isn't matched again, and watch for the next one
+      w.screen = "";
+      w.waiting = false;
     }
+
+    if (!this.running.has(job.id)) return;
+    run.log(`\n[bot] approval ${decision}\n`);
+    run.write(decision === "approved" ? CODEX_APPROVAL_YES : CODEX_APPROVAL_NO);
+  }
+
+  onExit(job) {
+    this.watchers.delete(job.id);
+    cancelApprovalsForJob(job.id);
   }
 }
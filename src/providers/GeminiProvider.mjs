@@ -1,12 +1,24 @@
 import fs from "node:fs";
 import BaseProvider from "./BaseProvider.mjs";
-import { GEMINI_API_KEY, GEMINI_MODEL } from "../config.mjs";
-import { nowIso, sleep } from "../utils/common.mjs";
-import { executeMcpTool, getAllMcpTools, startMcpServers } from "../services/mcp-manager.mjs";
+import {
+  GEMINI_API_KEY,
+  GEMINI_FALLBACK_MODELS,
+  GEMINI_MODEL,
+  GEMINI_RETRY_BASE_DELAY_MS,
+  GEMINI_RETRY_MAX_ATTEMPTS,
+  GEMINI_RETRY_MAX_DELAY_MS,
+} from "../config.mjs";
+import { nowIso, previewResult, sleep } from "../utils/common.mjs";
+import { describeMcpOutages, openJobMcp, startMcpServers } from "../services/mcp-manager.mjs";
 import { GEMINI_SYSTEM_PROMPT } from "../prompts/gemini.mjs";
+import { cancelApprovalsForJob } from "../services/approvals.mjs";
+import { authorizeToolCall } from "../services/tool-policy.mjs";
+import { createToolTracer, redact } from "../services/tool-trace.mjs";
+import { addGeminiUsage, emptyUsage } from "../services/usage.mjs";
 
 const SYSTEM_PROMPT = GEMINI_SYSTEM_PROMPT;
 const MAX_TOOL_LOOPS = 35;
+const HEALTH_TIMEOUT_MS = 8 * 1000;
 
 function shouldUseSearch(prompt) {
   const p = String(prompt || "").toLowerCase();
@@ -42,22 +54,102 @@ function extractFunctionCalls(response) {
   return calls;
 }
 
+// "30s" / "1.5s" (google.rpc.RetryInfo) or "Please retry in 12.3s." in the message
+function retryAfterMs(err) {
+  const info = (err?.errorDetails || []).find((d) => String(d?.["@type"] || "").endsWith("RetryInfo"));
+  const raw = info?.retryDelay || String(err?.message || "").match(/retry in ([\d.]+)\s*s/i)?.[1];
+  const secs = parseFloat(String(raw || "").replace(/s$/, ""));
+  return Number.isFinite(secs) && secs > 0 ? Math.ceil(secs * 1000) : null;
+}
+
+function isRetryableError(err) {
+  const status = Number(err?.status || 0);
+  if (status === 429 || status >= 500) return true;
+  // No HTTP status: network failure (fetch failed, ECONNRESET, timeouts)
+  return !status && /fetch failed|network|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(String(err?.message || err));
+}
+
+// Daily / hard quota: waiting a few seconds won't help, move down the fallback chain
+function isQuotaExhausted(err) {
+  if (Number(err?.status) !== 429) return false;
+  const violations = (err?.errorDetails || []).flatMap((d) => d?.violations || []);
+  if (violations.some((v) => /PerDay/i.test(String(v?.quotaId || "")))) return true;
+  return /quota exceeded|exceeded your current quota/i.test(String(err?.message || ""));
+}
+
+/**
+ * One generate call with backoff and model fallback; `run(model, modelName)` does the call.
+ * `state.index` points into `chain` and only ever moves forward, so once a job falls back
+ * it stays on the cheaper model. Returns `{ response, model, retries }`, or null if aborted.
+ */
+async function generateWithRetry({ chain, state, getModel, run, log, isAborted }) {
+  let attempt = 0;
+  let retries = 0;
+
+  for (;;) {
+    const modelName = chain[state.index];
+    try {
+      const response = await run(getModel(modelName), modelName);
+      return { response, model: modelName, retries };
+    } catch (err) {
+      if (isAborted()) return null;
+      if (!isRetryableError(err)) throw err;
+
+      const hint = retryAfterMs(err);
+      const hasFallback = state.index < chain.length - 1;
+      attempt += 1;
+      const exhausted = attempt >= GEMINI_RETRY_MAX_ATTEMPTS;
+
+      const reason = `${err?.status || "network"} on ${modelName}: ${String(err?.message || err).split("\n")[0].slice(0, 200)}`;
+
+      // Hard quota, or a wait longer than we're willing to sit through: switch model
+      if (hasFallback && (isQuotaExhausted(err) || (exhausted && Number(err?.status) === 429) || (hint && hint > GEMINI_RETRY_MAX_DELAY_MS))) {
+        state.index += 1;
+        attempt = 0;
+        retries += 1;
+        log(`[gemini] ${reason}\n[gemini] quota exhausted; falling back to ${chain[state.index]}\n`);
+        continue;
+      }
+      if (exhausted) throw err;
+
+      const backoff = Math.min(GEMINI_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), GEMINI_RETRY_MAX_DELAY_MS);
+      const delayMs = Math.min(Math.max(hint || 0, backoff), GEMINI_RETRY_MAX_DELAY_MS);
+      retries += 1;
+      log(`[gemini] ${reason}\n[gemini] retrying in ${Math.round(delayMs / 1000)}s (${attempt}/${GEMINI_RETRY_MAX_ATTEMPTS - 1})\n`);
+
+      const until = Date.now() + delayMs;
+      while (Date.now() < until) {
+        if (isAborted()) return null;
+        await sleep(Math.min(500, until - Date.now()));
+      }
+    }
+  }
+}
+
 export default class GeminiProvider extends BaseProvider {
-  constructor() {
+  constructor({ sendMessageSafe, editMessageSafe } = {}) {
     super();
+    // For tool calls the chat's policy wants confirmed
+    this.sendMessageSafe = sendMessageSafe;
+    this.editMessageSafe = editMessageSafe;
     this.aborted = new Set();
+    // job id -> AbortController of the in-flight stream
+    this.controllers = new Map();
   }
 
   async execute(job, context) {
     if (!GEMINI_API_KEY) throw new Error("Missing GEMINI_API_KEY");
 
-    const { workdir, logPath } = context;
+    const { workdir, logPath, progress, history = [] } = context;
 
     const { GoogleGenerativeAI } = await import("@google/generative-ai");
     const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
 
     await startMcpServers();
-    const mcpToolsRaw = await getAllMcpTools();
+    // Shared servers plus this job's own instances of the workdir-scoped ones; closed in the finally below
+    const mcp = await openJobMcp({ jobId: job.id, workdir });
+    const mcpToolsRaw = mcp.tools;
+    const tracer = createToolTracer(job.id, { provider: "gemini" });
     
     // We map the tools here. 
     // Note: ensure your mcp-manager.mjs handles the schema sanitization (stripping $schema)
@@ -78,21 +170,33 @@ export default class GeminiProvider extends BaseProvider {
     if (useSearch) tools.push({ googleSearch: {} });
     if (mcpToolDecls.length) tools.push({ functionDeclarations: mcpToolDecls });
 
-    // Use the requested model, falling back to config
-    const modelName = process.env.GEMINI_MODEL || GEMINI_MODEL || "gemini-1.5-pro";
-
-    const model = genAI.getGenerativeModel({
-      model: modelName,
-      systemInstruction: {
-        role: "system",
-        parts: [{ text: SYSTEM_PROMPT }],
-      },
-      tools: tools.length ? tools : undefined,
-    });
+    // Primary model (the job's own choice, else config) first, then the fallbacks (deduped)
+    const primary = job.model || process.env.GEMINI_MODEL || GEMINI_MODEL || "gemini-1.5-pro";
+    const chain = Array.from(new Set([primary, ...GEMINI_FALLBACK_MODELS]));
+    const chainState = { index: 0 };
+    const models = new Map();
+    const getModel = (name) => {
+      if (!models.has(name)) {
+        models.set(
+          name,
+          genAI.getGenerativeModel({
+            model: name,
+            systemInstruction: {
+              role: "system",
+              parts: [{ text: SYSTEM_PROMPT }],
+            },
+            tools: tools.length ? tools : undefined,
+          })
+        );
+      }
+      return models.get(name);
+    };
 
     const outStream = fs.createWriteStream(logPath, { flags: "a" });
     outStream.write(
-      `== job ${job.id} ==\nstarted: ${nowIso()}\nprovider: gemini\nmodel: ${modelName}\nworkdir: ${workdir}\n\n`
+      `== job ${job.id} ==\nstarted: ${nowIso()}\nprovider: gemini\nmodel: ${chain.join(" → ")}\nworkdir: ${workdir}\n` +
+        (history.length ? `session: ${job.sessionId} (${history.length} prior messages)\n` : "") +
+        `\n`
     );
 
     let combinedTail = "";
@@ -101,118 +205,227 @@ export default class GeminiProvider extends BaseProvider {
     const appendText = (text) => {
       if (!text) return;
       outStream.write(text);
+      progress?.output(text);
       combinedTail += text;
       if (combinedTail.length > tailLimit) {
         combinedTail = combinedTail.slice(combinedTail.length - tailLimit);
       }
     };
 
-    let contents = [{ role: "user", parts: [{ text: job.prompt }] }];
-    let response = null;
+    // Bot-side lines (tool calls/results): log + tail, but not the progress message text
+    const appendLog = (text) => {
+      outStream.write(text);
+      combinedTail = (combinedTail + text).slice(-tailLimit);
+    };
 
-    for (let i = 0; i < MAX_TOOL_LOOPS; i++) {
-      // 1. Generate content
-      const result = await model.generateContent({ contents, tools: tools.length ? tools : undefined });
-      response = result?.response || result;
-      if (this.aborted.has(job.id)) break;
-
-      // 2. Check for tool calls
-      const calls = extractFunctionCalls(response);
-      if (!calls.length) break; // No tools called, we are done
-
-      // 3. Log calls
-      calls.forEach(c => console.log(`🛠️ Gemini calling tool: ${c.name}`));
-
-      // 4. Add model's request to history
-      contents = contents.concat([
-        {
-          role: "model",
-          parts: calls.map((call) => ({ functionCall: { name: call.name, args: call.args } })),
-        },
-      ]);
-
-      // 5. Execute tools and format responses
-      const functionResponses = [];
-      for (const call of calls) {
-        try {
-          // Execute via MCP Manager
-          const rawString = await executeMcpTool(call.name, call.args);
-          
-          // --- FIX START: JSON PARSING ---
-          // Gemini needs a structured Object (Struct), not a JSON string.
-          let structuredResponse = { result: rawString };
+    const mcpOutages = [describeMcpOutages(), ...mcp.failures].filter(Boolean).join(", ");
+    if (mcpOutages) appendLog(`⚠️ MCP servers unavailable, running without their tools: ${mcpOutages}\n\n`);
 
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    // Prior session turns (if any) are replayed ahead of this job's prompt
+    let contents = history.concat([{ role: "user", parts: [{ text: job.prompt }] }]);
+    let response = null;
+    const usage = emptyUsage();
+    // Which model answered each step, for the meta file
+    const steps = [];
+
+    try {
+      for (let i = 0; i < MAX_TOOL_LOOPS; i++) {
+        // 1. Stream content (with backoff / fallback); text parts hit the log as they arrive
+        const request = { contents, tools: tools.length ? tools : undefined };
+        const generated = await generateWithRetry({
+          chain,
+          state: chainState,
+          getModel,
+          run: async (model, name) => {
+            outStream.write(`\n[gemini] step ${i + 1}: ${name}\n`);
+            const { stream, response: aggregated } = await model.generateContentStream(request, {
+              signal: controller.signal,
+            });
+            // Rejects together with the stream; handled through the iteration below
+            aggregated.catch(() => {});
+            let streamed = false;
+            try {
+              for await (const chunk of stream) {
+                for (const part of chunk?.candidates?.[0]?.content?.parts || []) {
+                  if (typeof part.text === "string" && !part.thought && part.text) {
+                    appendText(part.text);
+                    streamed = true;
+                  }
+                }
+              }
+              return await aggregated;
+            } catch (err) {
+              // The retry (or fallback model) answers from scratch; mark the partial text as void
+              if (streamed && !this.aborted.has(job.id)) {
+                appendText(`\n[attempt discarded: ${name} failed mid-answer; the text above is not part of the result]\n`);
+              }
+              throw err;
+            }
+          },
+          log: (line) => outStream.write(line),
+          isAborted: () => this.aborted.has(job.id),
+        });
+        if (!generated) break;
+        response = generated.response;
+        steps.push({ step: i + 1, model: generated.model, retries: generated.retries, at: nowIso() });
+
+        // 2. Check for tool calls
+        const calls = extractFunctionCalls(response);
+        addGeminiUsage(usage, response?.usageMetadata, { toolStep: calls.length > 0, model: generated.model });
+        if (this.aborted.has(job.id)) break;
+        if (!calls.length) break; // No tools called, we are done
+
+        // 3. Log calls
+        calls.forEach(c => {
+          appendLog(`\n[tool] ${c.name} ${JSON.stringify(redact(c.args)).slice(0, 500)}\n`);
+          progress?.toolCall(c.name);
+        });
+
+        // 4. Add model's request to history
+        contents = contents.concat([
+          {
+            role: "model",
+            parts: calls.map((call) => ({ functionCall: { name: call.name, args: call.args } })),
+          },
+        ]);
+
+        // 5. Execute tools and format responses
+        const functionResponses = [];
+        for (const call of calls) {
+          // Execution time only; an approval wait is not the tool's
+          let startedAt = Date.now();
           try {
-            const trimmed = String(rawString).trim();
-            if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-                 const parsed = JSON.parse(trimmed);
-                 structuredResponse = { result: parsed };
+            const denial = await authorizeToolCall({
+              sendMessageSafe: this.sendMessageSafe,
+              editMessageSafe: this.editMessageSafe,
+              job,
+              toolName: call.name,
+              args: call.args,
+              log: appendLog,
+            });
+            if (denial) throw new Error(denial);
+
+            // Execute via MCP Manager
+            startedAt = Date.now();
+            const rawString = await mcp.callTool(call.name, call.args);
+            tracer.record({ step: i + 1, tool: call.name, args: call.args, result: rawString, durationMs: Date.now() - startedAt });
+          
+            // Gemini needs a structured Object (Struct), not a JSON string.
+            let structuredResponse = { result: rawString };
+
+            try {
+              const trimmed = String(rawString).trim();
+              if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+                   const parsed = JSON.parse(trimmed);
+                   structuredResponse = { result: parsed };
+              }
+            } catch (e) {
+              // parsing failed, use raw string
             }
-          } catch (e) {
-            // parsing failed, use raw string
-          }
-          // --- FIX END ---
 
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: structuredResponse,
-            },
-          });
-        } catch (err) {
-          console.error(`Tool error (${call.name}):`, err);
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: { isError: true, error: String(err?.message || err) },
-            },
-          });
+            functionResponses.push({
+              functionResponse: {
+                name: call.name,
+                response: structuredResponse,
+              },
+            });
+            appendLog(`[tool] ${call.name} → ${previewResult(rawString)}\n`);
+          } catch (err) {
+            console.error(`Tool error (${call.name}):`, err);
+            appendLog(`[tool] ${call.name} ✗ ${String(err?.message || err)}\n`);
+            tracer.record({ step: i + 1, tool: call.name, args: call.args, error: err, durationMs: Date.now() - startedAt });
+            functionResponses.push({
+              functionResponse: {
+                name: call.name,
+                response: { isError: true, error: String(err?.message || err) },
+              },
+            });
+          }
         }
-      }
 
-      // 6. Add tool results to history
-      contents = contents.concat([
-        {
-          role: "function",
-          parts: functionResponses,
-        },
-      ]);
-    }
+        // 6. Add tool results to history
+        contents = contents.concat([
+          {
+            role: "function",
+            parts: functionResponses,
+          },
+        ]);
+      }
 
-    if (this.aborted.has(job.id)) {
-      outStream.write(`\n\n[bot] job aborted\n`);
-      outStream.end();
-      this.aborted.delete(job.id);
-      return {
-        combinedTail,
-        exitInfo: { code: 130, signal: "aborted" },
-        model: modelName,
-        provider: "gemini",
-      };
-    }
+      if (this.aborted.has(job.id)) {
+        outStream.write(`\n\n[bot] job aborted\n`);
+        this.aborted.delete(job.id);
+        return {
+          combinedTail,
+          exitInfo: { code: 130, signal: "aborted" },
+          model: chain[chainState.index],
+          provider: "gemini",
+          usage,
+          steps,
+        };
+      }
 
-    const text = response?.text?.() || "";
-    appendText(text);
+      const sources = extractSources(response);
+      if (sources.length) {
+        const list = sources.map((s) => `- ${s}`).join("\n");
+        appendText(`\n\nSources:\n${list}\n`);
+      }
 
-    const sources = extractSources(response);
-    if (sources.length) {
-      const list = sources.map((s) => `- ${s}`).join("\n");
-      appendText(`\n\nSources:\n${list}\n`);
+      outStream.write(`\n\nended: ${nowIso()}\nexit: ${JSON.stringify({ code: 0, signal: null })}\n`);
+    } catch (err) {
+      // Calls that already ran were billed; the worker merges this into the job's usage
+      if (err && typeof err === "object") Object.assign(err, { usage, steps, model: chain[chainState.index] });
+      throw err;
+    } finally {
+      this.controllers.delete(job.id);
+      // Every path ends the log, or each failed job would leak its descriptor
+      outStream.end();
+      await mcp.close();
     }
 
-    outStream.write(`\n\nended: ${nowIso()}\nexit: ${JSON.stringify({ code: 0, signal: null })}\n`);
-    outStream.end();
+    const finalParts = (response?.candidates?.[0]?.content?.parts || []).filter((p) => typeof p.text === "string");
+    if (finalParts.length) contents = contents.concat([{ role: "model", parts: finalParts }]);
 
     return {
       combinedTail,
       exitInfo: { code: 0, signal: null },
-      model: modelName,
+      model: chain[chainState.index],
       provider: "gemini",
+      usage,
+      steps,
+      history: contents,
     };
   }
 
+  // Key present, and the primary model's metadata loads with it (no tokens spent)
+  async healthCheck() {
+    const chain = Array.from(new Set([process.env.GEMINI_MODEL || GEMINI_MODEL, ...GEMINI_FALLBACK_MODELS]));
+    const model = chain.join(" → ");
+    if (!GEMINI_API_KEY) return { ok: false, model, error: "GEMINI_API_KEY is not set" };
+
+    try {
+      const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(chain[0])}`, {
+        headers: { "x-goog-api-key": GEMINI_API_KEY },
+        signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        return { ok: false, model, error: `HTTP ${res.status}: ${body?.error?.message || res.statusText}`.slice(0, 200) };
+      }
+      const info = await res.json().catch(() => ({}));
+      return { ok: true, model, version: info.version ? `${chain[0]} v${info.version}` : null, detail: "API key accepted" };
+    } catch (e) {
+      return { ok: false, model, error: `API unreachable: ${String(e?.message || e)}` };
+    }
+  }
+
   async abort(job) {
     this.aborted.add(job.id);
+    this.controllers.get(job.id)?.abort();
+    cancelApprovalsForJob(job.id);
     await sleep(50);
     return true;
   }
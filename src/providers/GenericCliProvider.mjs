@@ -0,0 +1,43 @@
+import { makeBigTaskPrompt } from "../commands/codex.mjs";
+import { parseTokenCount } from "../services/cli-providers.mjs";
+import CliProvider from "./CliProvider.mjs";
+
+// One provider per entry in CLI_PROVIDERS_PATH (see services/cli-providers.mjs)
+export default class GenericCliProvider extends CliProvider {
+  constructor(config) {
+    super({
+      name: config.name,
+      bin: config.bin,
+      timeoutMs: config.timeoutMs,
+      env: config.env,
+      versionArgs: config.versionArgs,
+    });
+    this.config = config;
+  }
+
+  get model() {
+    return this.config.model;
+  }
+
+  get prUrlRegex() {
+    return this.config.prUrlRegex;
+  }
+
+  buildArgs(job, workdir) {
+    const values = {
+      prompt: this.config.wrapPrompt ? makeBigTaskPrompt(job.prompt) : job.prompt,
+      workdir,
+      model: this.modelFor(job) || "",
+    };
+    return this.config.args.map((arg) => arg.replace(/\{(prompt|workdir|model)\}/g, (_m, key) => values[key]));
+  }
+
+  parseUsage(combinedTail) {
+    const re = this.config.tokenRegex;
+    if (!re) return null;
+    // Last match wins: most CLIs print a running total
+    const matches = Array.from(combinedTail.matchAll(new RegExp(re.source, "gi")));
+    const totalTokens = parseTokenCount(matches.at(-1)?.[1]);
+    return totalTokens ? { totalTokens } : null;
+  }
+}
@@ -0,0 +1,234 @@
+import fs from "node:fs";
+import BaseProvider from "./BaseProvider.mjs";
+import {
+  OPENAI_COMPAT_API_KEY,
+  OPENAI_COMPAT_BASE_URL,
+  OPENAI_COMPAT_MODEL,
+  OPENAI_COMPAT_TIMEOUT_MS,
+} from "../config.mjs";
+import { nowIso, previewResult, sleep } from "../utils/common.mjs";
+import { describeMcpOutages, openJobMcp, startMcpServers } from "../services/mcp-manager.mjs";
+import { OPENAI_SYSTEM_PROMPT } from "../prompts/openai.mjs";
+import { cancelApprovalsForJob } from "../services/approvals.mjs";
+import { authorizeToolCall } from "../services/tool-policy.mjs";
+import { createToolTracer, redact } from "../services/tool-trace.mjs";
+import { addOpenAIUsage, emptyUsage } from "../services/usage.mjs";
+
+const MAX_TOOL_LOOPS = 35;
+const HEALTH_TIMEOUT_MS = 8 * 1000;
+
+// MCP tools carry their raw JSON Schema in `jsonSchema`; `inputSchema` is the Gemini-flavoured copy
+function toToolDefinition(t) {
+  const schema = t.jsonSchema || t.inputSchema;
+  const parameters = schema && typeof schema === "object" ? { ...schema } : {};
+  parameters.type ||= "object";
+  parameters.properties ||= {};
+  return { type: "function", function: { name: t.name, description: t.description || "", parameters } };
+}
+
+async function chatCompletion(body, signal) {
+  const res = await fetch(`${OPENAI_COMPAT_BASE_URL}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(OPENAI_COMPAT_API_KEY ? { authorization: `Bearer ${OPENAI_COMPAT_API_KEY}` } : {}),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.any([signal, AbortSignal.timeout(OPENAI_COMPAT_TIMEOUT_MS)]),
+  });
+
+  const raw = await res.text();
+  if (!res.ok) {
+    const err = new Error(`${OPENAI_COMPAT_BASE_URL} returned HTTP ${res.status}: ${raw.slice(0, 500)}`);
+    err.status = res.status;
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`${OPENAI_COMPAT_BASE_URL} returned non-JSON: ${raw.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat-completions + tool-calling protocol
+ * (Ollama, llama.cpp server, vLLM, ...). MCP tools are exposed as `tools`; the loop
+ * runs until the model answers without tool calls, like GeminiProvider.
+ */
+export default class OpenAICompatProvider extends BaseProvider {
+  constructor({ sendMessageSafe, editMessageSafe } = {}) {
+    super();
+    // For tool calls the chat's policy wants confirmed
+    this.sendMessageSafe = sendMessageSafe;
+    this.editMessageSafe = editMessageSafe;
+    this.aborted = new Set();
+    // job id -> AbortController of the in-flight request
+    this.controllers = new Map();
+  }
+
+  async execute(job, context) {
+    const { workdir, logPath, progress } = context;
+    const modelName = job.model || OPENAI_COMPAT_MODEL;
+
+    await startMcpServers();
+    // Shared servers plus this job's own instances of the workdir-scoped ones; closed in the finally below
+    const mcp = await openJobMcp({ jobId: job.id, workdir });
+    const tools = mcp.tools.map(toToolDefinition);
+    const tracer = createToolTracer(job.id, { provider: "openai" });
+
+    const outStream = fs.createWriteStream(logPath, { flags: "a" });
+    outStream.write(
+      `== job ${job.id} ==\nstarted: ${nowIso()}\nprovider: openai\nendpoint: ${OPENAI_COMPAT_BASE_URL}\nmodel: ${modelName}\nworkdir: ${workdir}\n\n`
+    );
+
+    let combinedTail = "";
+    const tailLimit = 14000;
+
+    const appendText = (text) => {
+      if (!text) return;
+      outStream.write(text);
+      progress?.output(text);
+      combinedTail = (combinedTail + text).slice(-tailLimit);
+    };
+
+    // Bot-side lines (tool calls/results): log + tail, but not the progress message text
+    const appendLog = (text) => {
+      outStream.write(text);
+      combinedTail = (combinedTail + text).slice(-tailLimit);
+    };
+
+    const mcpOutages = [describeMcpOutages(), ...mcp.failures].filter(Boolean).join(", ");
+    if (mcpOutages) appendLog(`⚠️ MCP servers unavailable, running without their tools: ${mcpOutages}\n\n`);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    const messages = [
+      { role: "system", content: OPENAI_SYSTEM_PROMPT },
+      { role: "user", content: job.prompt },
+    ];
+    const usage = emptyUsage();
+    const steps = [];
+    let finished = false;
+
+    try {
+      for (let i = 0; i < MAX_TOOL_LOOPS; i++) {
+        outStream.write(`\n[openai] step ${i + 1}: ${modelName}\n`);
+        let data;
+        try {
+          data = await chatCompletion(
+            { model: modelName, messages, ...(tools.length ? { tools, tool_choice: "auto" } : {}) },
+            controller.signal
+          );
+        } catch (err) {
+          if (this.aborted.has(job.id)) break;
+          throw err;
+        }
+
+        const message = data?.choices?.[0]?.message || {};
+        const calls = message.tool_calls || [];
+        addOpenAIUsage(usage, data?.usage, { toolStep: calls.length > 0 });
+        steps.push({ step: i + 1, model: data?.model || modelName, at: nowIso() });
+
+        appendText(message.content || "");
+        if (this.aborted.has(job.id)) break;
+        if (!calls.length) {
+          finished = true;
+          break;
+        }
+
+        messages.push({ role: "assistant", content: message.content ?? null, tool_calls: calls });
+
+        for (const call of calls) {
+          const name = call.function?.name;
+          let content;
+          let args = call.function?.arguments || "{}";
+          let loggedArgs;
+          try {
+            loggedArgs = JSON.stringify(redact(JSON.parse(args)));
+          } catch {
+            // Unparseable arguments fail below; log them as sent, minus anything secret-looking
+            loggedArgs = redact(String(args));
+          }
+          appendLog(`\n[tool] ${name} ${loggedArgs.slice(0, 500)}\n`);
+          progress?.toolCall(name);
+
+          // Execution time only; an approval wait is not the tool's
+          let startedAt = Date.now();
+          try {
+            args = JSON.parse(args);
+            const denial = await authorizeToolCall({
+              sendMessageSafe: this.sendMessageSafe,
+              editMessageSafe: this.editMessageSafe,
+              job,
+              toolName: name,
+              args,
+              log: appendLog,
+            });
+            if (denial) throw new Error(denial);
+            startedAt = Date.now();
+            content = String(await mcp.callTool(name, args));
+            tracer.record({ step: i + 1, tool: name, args, result: content, durationMs: Date.now() - startedAt });
+            appendLog(`[tool] ${name} → ${previewResult(content)}\n`);
+          } catch (err) {
+            console.error(`Tool error (${name}):`, err);
+            content = JSON.stringify({ isError: true, error: String(err?.message || err) });
+            appendLog(`[tool] ${name} ✗ ${String(err?.message || err)}\n`);
+            tracer.record({ step: i + 1, tool: name, args, error: err, durationMs: Date.now() - startedAt });
+          }
+          messages.push({ role: "tool", tool_call_id: call.id, content });
+        }
+      }
+    } catch (err) {
+      // Calls that already ran were billed; the worker merges this into the job's usage
+      if (err && typeof err === "object") Object.assign(err, { usage, steps, model: modelName });
+      throw err;
+    } finally {
+      this.controllers.delete(job.id);
+      await mcp.close();
+    }
+
+    if (this.aborted.has(job.id)) {
+      outStream.write(`\n\n[bot] job aborted\n`);
+      outStream.end();
+      this.aborted.delete(job.id);
+      return { combinedTail, exitInfo: { code: 130, signal: "aborted" }, model: modelName, provider: "openai", usage, steps };
+    }
+
+    const exitInfo = finished ? { code: 0, signal: null } : { code: 1, signal: "max_tool_loops" };
+    if (!finished) appendLog(`\n[openai] stopped after ${MAX_TOOL_LOOPS} tool steps\n`);
+
+    outStream.write(`\n\nended: ${nowIso()}\nexit: ${JSON.stringify(exitInfo)}\n`);
+    outStream.end();
+
+    return { combinedTail, exitInfo, model: modelName, provider: "openai", usage, steps };
+  }
+
+  // The server answers /models, and (if it lists them) serves the configured model
+  async healthCheck() {
+    const model = OPENAI_COMPAT_MODEL;
+    try {
+      const res = await fetch(`${OPENAI_COMPAT_BASE_URL}/models`, {
+        headers: OPENAI_COMPAT_API_KEY ? { authorization: `Bearer ${OPENAI_COMPAT_API_KEY}` } : {},
+        signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+      });
+      if (!res.ok) return { ok: false, model, detail: OPENAI_COMPAT_BASE_URL, error: `HTTP ${res.status} from /models` };
+
+      const ids = ((await res.json().catch(() => null))?.data || []).map((m) => m.id);
+      if (ids.length && !ids.includes(model)) {
+        return { ok: false, model, detail: OPENAI_COMPAT_BASE_URL, error: `model not served (has: ${ids.slice(0, 5).join(", ")})` };
+      }
+      return { ok: true, model, detail: OPENAI_COMPAT_BASE_URL };
+    } catch (e) {
+      return { ok: false, model, detail: OPENAI_COMPAT_BASE_URL, error: `unreachable: ${String(e?.message || e)}` };
+    }
+  }
+
+  async abort(job) {
+    this.aborted.add(job.id);
+    this.controllers.get(job.id)?.abort();
+    cancelApprovalsForJob(job.id);
+    await sleep(50);
+    return true;
+  }
+}
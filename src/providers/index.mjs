@@ -1,16 +1,55 @@
+import { PROVIDER_HEALTH_TTL_SEC } from "../config.mjs";
+import { loadCliProviders } from "../services/cli-providers.mjs";
+import { nowIso } from "../utils/common.mjs";
 import CodexCliProvider from "./CodexCliProvider.mjs";
 import GeminiProvider from "./GeminiProvider.mjs";
+import GenericCliProvider from "./GenericCliProvider.mjs";
+import OpenAICompatProvider from "./OpenAICompatProvider.mjs";
 
-export function createProviderManager({ sendMessageSafe }) {
+export function createProviderManager({ sendMessageSafe, editMessageSafe }) {
   const providers = {
-    codex: new CodexCliProvider({ sendMessageSafe }),
-    gemini: new GeminiProvider(),
+    codex: new CodexCliProvider({ sendMessageSafe, editMessageSafe }),
+    gemini: new GeminiProvider({ sendMessageSafe, editMessageSafe }),
+    openai: new OpenAICompatProvider({ sendMessageSafe, editMessageSafe }),
   };
 
+  for (const config of Object.values(loadCliProviders())) {
+    providers[config.name] = new GenericCliProvider(config);
+  }
+
+  // name -> { at, result }
+  const healthCache = new Map();
+
+  // Unknown names throw: a job must never quietly run on a different provider
   function getProvider(name) {
     const key = String(name || "codex").toLowerCase();
-    return providers[key] || providers.codex;
+    const provider = providers[key];
+    if (!provider) throw new Error(`Unknown provider "${key}" (available: ${Object.keys(providers).join(", ")})`);
+    return provider;
+  }
+
+  function listProviders() {
+    return Object.keys(providers);
+  }
+
+  async function checkHealth(name, { force = false } = {}) {
+    const key = String(name || "codex").toLowerCase();
+    const provider = providers[key];
+    if (!provider) return { ok: false, error: "unknown provider", checkedAt: nowIso() };
+
+    const cached = healthCache.get(key);
+    if (!force && cached && Date.now() - cached.at < PROVIDER_HEALTH_TTL_SEC * 1000) return cached.result;
+
+    let result;
+    try {
+      result = await provider.healthCheck();
+    } catch (e) {
+      result = { ok: false, error: String(e?.message || e) };
+    }
+    result = { ...result, checkedAt: nowIso() };
+    healthCache.set(key, { at: Date.now(), result });
+    return result;
   }
 
-  return { getProvider };
+  return { getProvider, listProviders, checkHealth };
 }
@@ -0,0 +1,94 @@
+import { APPROVAL_TIMEOUT_SEC } from "../config.mjs";
+
+/**
+ * Approve/Deny prompts in Telegram for things a running job wants to do.
+ *
+ * `requestApproval` posts the question with two inline buttons (`appr:<id>:y|n`) and resolves
+ * with "approved", "denied" or "timeout" (after APPROVAL_TIMEOUT_SEC; callers treat it as a
+ * denial). Pending prompts live in memory only: after a restart their jobs are gone anyway.
+ */
+
+const MAX_DETAIL_CHARS = 1500;
+const LABELS = {
+  approved: "✅ Approved",
+  denied: "⛔ Denied",
+  timeout: "⌛ No answer — denied",
+  canceled: "🚫 Job ended before an answer",
+};
+
+// approval id -> { chatId, jobId, text, messageId, resolve, timer, editMessageSafe }
+const pending = new Map();
+let nextId = 1;
+
+async function settle(id, decision, by = null) {
+  const p = pending.get(id);
+  if (!p) return false;
+  pending.delete(id);
+  clearTimeout(p.timer);
+  p.resolve(decision);
+
+  if (p.messageId && p.editMessageSafe) {
+    const suffix = `${LABELS[decision] || decision}${by ? ` by ${by}` : ""}`;
+    // No reply_markup: the buttons go away
+    await p.editMessageSafe(p.chatId, p.messageId, `${p.text}\n\n${suffix}`).catch(() => {});
+  }
+  return true;
+}
+
+export function requestApproval({
+  sendMessageSafe,
+  editMessageSafe,
+  chatId,
+  jobId,
+  title,
+  detail = "",
+  timeoutMs = APPROVAL_TIMEOUT_SEC * 1000,
+}) {
+  const id = (nextId++).toString(36);
+  const body = String(detail).trim();
+  const text =
+    `🔐 Job ${jobId} needs approval: ${title}` +
+    (body ? `\n\n${body.length > MAX_DETAIL_CHARS ? `…${body.slice(-MAX_DETAIL_CHARS)}` : body}` : "");
+
+  const decision = new Promise((resolve) => {
+    const timer = setTimeout(() => settle(id, "timeout"), timeoutMs);
+    pending.set(id, { chatId, jobId, text, messageId: null, resolve, timer, editMessageSafe });
+  });
+
+  sendMessageSafe(chatId, text, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: "✅ Approve", callback_data: `appr:${id}:y` },
+          { text: "⛔ Deny", callback_data: `appr:${id}:n` },
+        ],
+      ],
+    },
+  })
+    .then((sent) => {
+      const p = pending.get(id);
+      if (p) p.messageId = sent?.message_id || null;
+    })
+    .catch((e) => {
+      console.error(`[approvals] could not ask about job ${jobId}:`, e?.message || e);
+      settle(id, "denied");
+    });
+
+  return decision;
+}
+
+// Callback data `appr:<id>:y|n`; returns a toast for answerCallbackQuery
+export async function onApprovalCallback(chatId, data, by = null) {
+  const [, id, answer] = String(data).split(":");
+  const p = pending.get(id);
+  if (!p || String(p.chatId) !== String(chatId)) return "This approval is no longer pending.";
+  await settle(id, answer === "y" ? "approved" : "denied", by);
+  return answer === "y" ? "Approved" : "Denied";
+}
+
+// Drop a job's open prompts (it finished or was canceled while waiting)
+export function cancelApprovalsForJob(jobId) {
+  for (const [id, p] of pending) {
+    if (p.jobId === jobId) settle(id, "canceled");
+  }
+}
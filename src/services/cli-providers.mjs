@@ -0,0 +1,146 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CLI_PROVIDERS_PATH, CODEX_TIMEOUT_MS } from "../config.mjs";
+
+/**
+ * Config-driven CLI providers, read once from CLI_PROVIDERS_PATH (relative to the bot's cwd):
+ *
+ *   {
+ *     "aider": {
+ *       "bin": "aider",
+ *       "args": ["--yes-always", "--no-pretty", "--model", "{model}", "--message", "{prompt}"],
+ *       "model": "sonnet",
+ *       "env": { "ANTHROPIC_API_KEY": "${ANTHROPIC_API_KEY}" },
+ *       "timeoutMs": 1800000,
+ *       "tokenRegex": "Tokens: ([\\d.,]+k?) sent",
+ *       "prUrlRegex": "https://git\\.example\\.com/\\S+/merge_requests/\\d+",
+ *       "command": "aider",
+ *       "versionArgs": ["--version"],
+ *       "wrapPrompt": false
+ *     }
+ *   }
+ *
+ * The key is the provider name (`/setprovider aider`); `command` (default: the name) is the
+ * slash command, which must not be one of the bot's own (/ask, /jobs, …). `{prompt}`,
+ * `{workdir}` and `{model}` are substituted per argument, so the prompt never passes through a
+ * shell. `${VAR}` in `env` expands from the bot's environment.
+ * `tokenRegex`'s first group is the total tokens used ("12,345", "1.2k", "3m" are understood).
+ * `wrapPrompt` prepends the same engineering instructions Codex gets. `versionArgs` is what
+ * /providers runs to report a version (`[]` skips it; a failure marks the provider unhealthy).
+ */
+
+const BUILTIN_PROVIDERS = ["codex", "gemini", "openai"];
+// The router's own commands; a CLI provider may not take these over or be shadowed by them
+const BUILTIN_COMMANDS = [
+  "ask", "cancel", "codex", "compress", "continue", "diff", "gemini", "help", "job", "jobs", "last",
+  "mcp", "mem", "newchat", "openai", "prompt", "prompts", "providers", "pull", "purge", "repo",
+  "repomix", "repos", "resource", "retry", "setfallback", "setmodel", "setprovider", "setrepo",
+  "start", "status", "storage", "tools", "trace", "usage",
+];
+// Matched by prefix in the router, so "/setrepo2" would never reach a provider either
+const BUILTIN_COMMAND_PREFIXES = ["setfallback", "setmodel", "setprovider", "setrepo", "trace"];
+const NAME_RE = /^[a-z][a-z0-9_]{1,31}$/;
+
+let cached = null;
+
+function expandEnv(value) {
+  return String(value).replace(/\$\{(.+?)\}/g, (_m, v) => process.env[v] || "");
+}
+
+function compileRegex(source, field, name) {
+  if (!source) return null;
+  try {
+    return new RegExp(source, field === "prUrlRegex" ? "g" : "i");
+  } catch (e) {
+    throw new Error(`${name}.${field}: ${e.message}`);
+  }
+}
+
+function parseEntry(name, raw) {
+  if (!NAME_RE.test(name)) throw new Error(`bad provider name "${name}" (lowercase letters, digits, _)`);
+  if (BUILTIN_PROVIDERS.includes(name)) throw new Error(`"${name}" is a built-in provider`);
+  if (!raw || typeof raw !== "object") throw new Error(`${name}: entry must be an object`);
+  if (!raw.bin || typeof raw.bin !== "string") throw new Error(`${name}.bin is required`);
+  if (raw.args != null && (!Array.isArray(raw.args) || raw.args.some((a) => typeof a !== "string"))) {
+    throw new Error(`${name}.args must be an array of strings`);
+  }
+
+  const command = String(raw.command || name).replace(/^\//, "").toLowerCase();
+  if (!NAME_RE.test(command)) throw new Error(`${name}.command "${command}" is not a valid command name`);
+  if (BUILTIN_COMMANDS.includes(command) || BUILTIN_COMMAND_PREFIXES.some((p) => command.startsWith(p))) {
+    throw new Error(`${name}.command /${command} clashes with a built-in command; set "command" to another name`);
+  }
+
+  return {
+    name,
+    command,
+    bin: raw.bin,
+    args: raw.args || ["{prompt}"],
+    model: raw.model ? String(raw.model) : null,
+    env: Object.fromEntries(Object.entries(raw.env || {}).map(([k, v]) => [k, expandEnv(v)])),
+    timeoutMs: Number(raw.timeoutMs) > 0 ? Number(raw.timeoutMs) : CODEX_TIMEOUT_MS,
+    tokenRegex: compileRegex(raw.tokenRegex, "tokenRegex", name),
+    prUrlRegex: compileRegex(raw.prUrlRegex, "prUrlRegex", name),
+    wrapPrompt: Boolean(raw.wrapPrompt),
+    versionArgs: Array.isArray(raw.versionArgs) ? raw.versionArgs.map(String) : ["--version"],
+    description: raw.description ? String(raw.description) : `${raw.bin} CLI`,
+  };
+}
+
+/**
+ * Valid entries, keyed by provider name. Bad entries are logged and skipped so one typo
+ * doesn't take the other providers down.
+ */
+export function loadCliProviders() {
+  if (cached) return cached;
+  cached = {};
+
+  const filePath = path.resolve(process.cwd(), CLI_PROVIDERS_PATH);
+  if (!fs.existsSync(filePath)) return cached;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    console.error(`[cli-providers] could not read ${filePath}:`, e?.message || e);
+    return cached;
+  }
+
+  const commands = new Set();
+  for (const [name, raw] of Object.entries(config || {})) {
+    try {
+      const entry = parseEntry(name, raw);
+      if (commands.has(entry.command)) throw new Error(`command /${entry.command} is already taken`);
+      commands.add(entry.command);
+      cached[name] = entry;
+    } catch (e) {
+      console.error(`[cli-providers] skipping ${name}:`, e?.message || e);
+    }
+  }
+
+  const names = Object.keys(cached);
+  if (names.length) console.log(`🧩 CLI providers: ${names.join(", ")}`);
+  return cached;
+}
+
+export function getCliProviderConfig(name) {
+  return loadCliProviders()[String(name || "").toLowerCase()] || null;
+}
+
+export function findCliProviderByCommand(command) {
+  return Object.values(loadCliProviders()).find((p) => p.command === command) || null;
+}
+
+export function listProviderNames() {
+  return BUILTIN_PROVIDERS.concat(Object.keys(loadCliProviders()));
+}
+
+// "12,345" | "1.2k" | "3m" -> number
+export function parseTokenCount(raw) {
+  const m = String(raw || "").trim().match(/^([\d.,]+)\s*([km])?$/i);
+  if (!m) return null;
+  const n = Number(m[1].replace(/,/g, ""));
+  if (!Number.isFinite(n)) return null;
+  const mult = { k: 1e3, m: 1e6 }[(m[2] || "").toLowerCase()] || 1;
+  return Math.round(n * mult);
+}
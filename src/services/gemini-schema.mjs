@@ -0,0 +1,355 @@
+/**
+ * 🧹 JSON Schema (as MCP servers publish it) → the OpenAPI subset Gemini function declarations accept:
+ * type, format, description, nullable, enum, properties, required, items.
+ *
+ * - `$ref` (#/$defs/…, #/definitions/…) is inlined, also inside allOf/anyOf/oneOf; a ref that
+ *   recurses into itself stops there.
+ * - `allOf` is merged; `anyOf`/`oneOf`/type arrays drop their null branch into `nullable`.
+ * - Unions Gemini cannot express degrade to their first branch (or to merged objects / a string
+ *   enum when that loses nothing), and the other options are spelled out in the description.
+ * - Gemini rejects OBJECTs without properties, so anything object-shaped it cannot describe
+ *   (recursion, maps, free-form or too deeply nested objects) becomes a string carrying JSON.
+ *   Those spots are listed in `jsonPaths`; `decodeJsonArgs` turns the strings back into values
+ *   before the call reaches the MCP server. A root without properties has no parameters at all.
+ * - Keywords without a Gemini equivalent (const, default, bounds, pattern, unsupported formats)
+ *   are folded into the description so the model still sees them.
+ *
+ * Every lossy step pushes a human-readable line onto `warnings` (shown in /mcp).
+ */
+
+const MAX_DEPTH = 16;
+const TYPES = ["string", "number", "integer", "boolean", "array", "object"];
+const FORMATS = {
+  string: ["enum", "date-time"],
+  number: ["float", "double"],
+  integer: ["int32", "int64"],
+};
+// Free-form root arguments travel as one JSON string in this parameter
+const ROOT_JSON_ARG = "arguments_json";
+
+function formatPath(path) {
+  return path.reduce((acc, seg) => (seg === "[]" ? `${acc}[]` : acc ? `${acc}.${seg}` : seg), "") || "(root)";
+}
+
+function isNullSchema(s) {
+  return s && typeof s === "object" && (s.type === "null" || s.const === null || (Array.isArray(s.enum) && s.enum.length === 1 && s.enum[0] === null));
+}
+
+function appendDescription(out, text) {
+  if (!text) return;
+  if (!out.description) out.description = text;
+  else out.description += /[.!?:)]$/.test(out.description) ? ` ${text}` : `. ${text}`;
+}
+
+function resolvePointer(root, ref) {
+  if (!ref.startsWith("#")) return undefined;
+  let node = root;
+  for (const raw of ref.slice(1).split("/").filter(Boolean)) {
+    const key = decodeURIComponent(raw).replace(/~1/g, "/").replace(/~0/g, "~");
+    node = node?.[key];
+    if (node === undefined) return undefined;
+  }
+  return node;
+}
+
+/**
+ * Follow `$ref` chains; sibling keywords (e.g. a description next to the ref) win over the target's.
+ * -> { schema, refStack } with the refs taken pushed on, or { cycle: name } / { missing: ref }.
+ */
+function deref(schema, ctx, refStack) {
+  let current = schema;
+  let stack = refStack;
+  while (current && typeof current === "object" && typeof current.$ref === "string") {
+    const ref = current.$ref;
+    if (stack.includes(ref)) return { cycle: ref.split("/").pop() };
+    const target = resolvePointer(ctx.root, ref);
+    if (target === undefined) return { missing: ref };
+    const { $ref: _ref, ...siblings } = current;
+    current = { ...target, ...siblings };
+    stack = stack.concat(ref);
+  }
+  return { schema: current, refStack: stack };
+}
+
+// Stand-in for a value Gemini cannot describe as an object
+function jsonString(ctx, path, description) {
+  ctx.jsonPaths.push(path);
+  return { type: "string", description };
+}
+
+// allOf branches / object union branches (refs already followed) folded into one schema
+function mergeAll(parts) {
+  const out = {};
+  for (const p of parts) {
+    if (!p || typeof p !== "object") continue;
+    for (const [k, v] of Object.entries(p)) {
+      if (k === "properties") out.properties = { ...(out.properties || {}), ...v };
+      else if (k === "required") out.required = Array.from(new Set([...(out.required || []), ...v]));
+      else if (!(k in out)) out[k] = v;
+    }
+  }
+  return out;
+}
+
+function describeBranch(s) {
+  if (!s || typeof s !== "object") return "any";
+  if (s.$ref) return s.$ref.split("/").pop();
+  if ("const" in s) return JSON.stringify(s.const);
+  if (Array.isArray(s.type)) return s.type.join("|");
+  if (s.title) return s.title;
+  if (s.properties) return `{${Object.keys(s.properties).join(", ")}}`;
+  return s.type || "any";
+}
+
+function foldConstraints(schema, out) {
+  const notes = [];
+  if ("default" in schema) notes.push(`Default: ${JSON.stringify(schema.default)}.`);
+  const bounds = [
+    schema.minimum != null ? `min ${schema.minimum}` : null,
+    schema.exclusiveMinimum != null ? `> ${schema.exclusiveMinimum}` : null,
+    schema.maximum != null ? `max ${schema.maximum}` : null,
+    schema.exclusiveMaximum != null ? `< ${schema.exclusiveMaximum}` : null,
+    schema.minLength != null ? `min length ${schema.minLength}` : null,
+    schema.maxLength != null ? `max length ${schema.maxLength}` : null,
+    schema.minItems != null ? `min items ${schema.minItems}` : null,
+    schema.maxItems != null ? `max items ${schema.maxItems}` : null,
+  ].filter(Boolean);
+  if (bounds.length) notes.push(`(${bounds.join(", ")})`);
+  if (schema.pattern) notes.push(`Pattern: ${schema.pattern}`);
+  appendDescription(out, notes.join(" "));
+}
+
+function convert(schema, ctx, path, depth, refStack) {
+  if (schema === true || schema == null || (typeof schema === "object" && !Object.keys(schema).length)) {
+    ctx.warn(path, "accepts any value; declared as JSON text");
+    return jsonString(ctx, path, "Any JSON value; objects and arrays as JSON text.");
+  }
+  if (typeof schema !== "object") return { type: "string" };
+  if (depth > MAX_DEPTH) {
+    ctx.warn(path, `nested deeper than ${MAX_DEPTH} levels; the rest is JSON text`);
+    return jsonString(ctx, path, "JSON-encoded value (structure too deep to describe).");
+  }
+
+  // 1. $ref: inline, guarding against cycles
+  if (typeof schema.$ref === "string") {
+    const resolved = deref(schema, ctx, refStack);
+    if (resolved.cycle) {
+      ctx.warn(path, `recursive $ref ${resolved.cycle}; inner level is JSON text`);
+      return jsonString(ctx, path, `JSON-encoded ${resolved.cycle} (same shape as its parent).`);
+    }
+    if (resolved.missing) {
+      ctx.warn(path, `unresolvable $ref ${resolved.missing}; declared as string`);
+      return { type: "string", description: `(${resolved.missing.split("/").pop()})` };
+    }
+    return convert(resolved.schema, ctx, path, depth + 1, resolved.refStack);
+  }
+
+  // 2. allOf: merge the branches; a branch that refers back to a schema being expanded is dropped
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const parts = [];
+    let stack = refStack;
+    for (const part of allOf) {
+      const resolved = deref(part, ctx, stack);
+      if (resolved.cycle) ctx.warn(path, `allOf refers back to ${resolved.cycle}; that branch is ignored`);
+      else if (resolved.missing) ctx.warn(path, `unresolvable $ref ${resolved.missing} in allOf; ignored`);
+      else {
+        parts.push(resolved.schema);
+        stack = Array.from(new Set([...stack, ...resolved.refStack]));
+      }
+    }
+    return convert(mergeAll([rest, ...parts]), ctx, path, depth + 1, stack);
+  }
+
+  // 3. anyOf / oneOf: null branch -> nullable; the rest collapses or degrades
+  const union = schema.anyOf || schema.oneOf;
+  if (Array.isArray(union)) {
+    const { anyOf: _a, oneOf: _o, ...rest } = schema;
+    const nullable = union.some(isNullSchema);
+    let branches = union.filter((b) => !isNullSchema(b));
+    // A branch that is the schema being expanded adds nothing the others don't already say
+    const acyclic = branches.filter((b) => !deref(b, ctx, refStack).cycle);
+    if (acyclic.length && acyclic.length < branches.length) {
+      ctx.warn(path, `${union === schema.anyOf ? "anyOf" : "oneOf"} branch refers back to itself; ignored`);
+      branches = acyclic;
+    }
+    let out;
+
+    if (!branches.length) {
+      out = { type: "string" };
+    } else if (branches.length === 1) {
+      out = convert({ ...branches[0], ...rest }, ctx, path, depth + 1, refStack);
+    } else if (branches.every((b) => "const" in b && typeof b.const === "string")) {
+      out = convert({ ...rest, type: "string", enum: branches.map((b) => b.const) }, ctx, path, depth + 1, refStack);
+    } else {
+      const resolved = branches.map((b) => deref(b, ctx, refStack));
+      if (resolved.every((r) => r.schema && (r.schema.type === "object" || r.schema.properties))) {
+        // Objects: every property becomes optional unless all branches require it
+        const objects = resolved.map((r) => r.schema);
+        const merged = mergeAll(objects);
+        merged.required = (objects[0].required || []).filter((r) => objects.every((b) => b.required?.includes(r)));
+        const stack = Array.from(new Set(resolved.flatMap((r) => r.refStack)));
+        ctx.warn(path, `${union === schema.anyOf ? "anyOf" : "oneOf"} of ${branches.length} objects merged into one`);
+        out = convert({ ...merged, ...rest, type: "object" }, ctx, path, depth + 1, stack);
+        appendDescription(out, `One of: ${branches.map(describeBranch).join(", ")}.`);
+      } else {
+        ctx.warn(path, `union of ${branches.map(describeBranch).join(" | ")} reduced to ${describeBranch(branches[0])}`);
+        out = convert({ ...branches[0], ...rest }, ctx, path, depth + 1, refStack);
+        appendDescription(out, `(Also accepts: ${branches.slice(1).map(describeBranch).join(", ")}.)`);
+      }
+    }
+    if (nullable) out.nullable = true;
+    return out;
+  }
+
+  // 4. Plain schema
+  const out = {};
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    const types = type.filter((t) => t !== "null");
+    if (types.length < type.length) out.nullable = true;
+    if (types.length > 1) ctx.warn(path, `type ${type.join("|")} reduced to ${types[0]}`);
+    if (types.length > 1) appendDescription(out, `(Also accepts: ${types.slice(1).join(", ")}.)`);
+    type = types[0];
+  }
+  if (type === "null") {
+    type = "string";
+    out.nullable = true;
+  }
+  if (!type) {
+    if (schema.properties || schema.additionalProperties) type = "object";
+    else if (schema.items) type = "array";
+    else if (Array.isArray(schema.enum) || typeof schema.const === "string") type = "string";
+    else if ("const" in schema) type = typeof schema.const;
+  }
+  if (!TYPES.includes(type)) {
+    ctx.warn(path, type ? `unknown type ${type}; declared as string` : "no type; declared as string");
+    type = "string";
+  }
+  out.type = type;
+
+  const description = schema.description || schema.title;
+  if (description) out.description = out.description ? `${description} ${out.description}` : description;
+
+  if (schema.format) {
+    if (FORMATS[type]?.includes(schema.format)) out.format = schema.format;
+    else appendDescription(out, `(format: ${schema.format})`);
+  }
+
+  // Gemini enums are strings only
+  const values = "const" in schema ? [schema.const] : schema.enum;
+  if (Array.isArray(values)) {
+    const nonNull = values.filter((v) => v !== null);
+    if (nonNull.length < values.length) out.nullable = true;
+    if (type === "string" && nonNull.every((v) => typeof v === "string")) {
+      out.enum = nonNull;
+    } else {
+      appendDescription(out, nonNull.length === 1 ? `Must be ${JSON.stringify(nonNull[0])}.` : `One of: ${nonNull.map((v) => JSON.stringify(v)).join(", ")}.`);
+    }
+  }
+
+  foldConstraints(schema, out);
+
+  if (type === "object") {
+    const props = schema.properties && typeof schema.properties === "object" ? Object.entries(schema.properties) : [];
+    const extra = schema.additionalProperties;
+    const valuesNote = extra && typeof extra === "object" ? ` Values: ${describeBranch(extra)}.` : "";
+    if (!props.length) {
+      // The root is settled by cleanGeminiSchema (no parameters, or one JSON argument)
+      if (!path.length) return { ...out, freeForm: extra === true || Boolean(valuesNote) };
+      ctx.warn(path, valuesNote ? "map (additionalProperties) declared as JSON text" : "object without properties declared as JSON text");
+      const degraded = jsonString(ctx, path, [out.description, `JSON-encoded object with free-form keys.${valuesNote}`].filter(Boolean).join(" "));
+      if (out.nullable) degraded.nullable = true;
+      return degraded;
+    }
+    out.properties = {};
+    for (const [key, value] of props) {
+      out.properties[key] = convert(value, ctx, path.concat(key), depth + 1, refStack);
+    }
+    const required = (schema.required || []).filter((r) => r in out.properties);
+    if (required.length) out.required = required;
+    if (valuesNote) appendDescription(out, `Other keys are allowed too.${valuesNote}`);
+  }
+
+  if (type === "array") {
+    if (Array.isArray(schema.items)) {
+      ctx.warn(path, "tuple items reduced to the first item schema");
+      out.items = convert(schema.items[0], ctx, path.concat("[]"), depth + 1, refStack);
+    } else {
+      out.items = schema.items ? convert(schema.items, ctx, path.concat("[]"), depth + 1, refStack) : { type: "string" };
+      if (!schema.items) ctx.warn(path, "array without items; items declared as string");
+    }
+  }
+
+  return out;
+}
+
+/**
+ * -> the Gemini schema, or undefined for a tool without parameters. `jsonPaths` receives the
+ * argument paths (arrays of keys, "[]" for array items) that were turned into JSON strings;
+ * an empty path means all arguments arrive as one JSON string (see decodeJsonArgs).
+ */
+export function cleanGeminiSchema(schema, warnings = [], jsonPaths = []) {
+  if (!schema || typeof schema !== "object") return schema;
+  const ctx = {
+    root: schema,
+    warn: (path, message) => warnings.push(`${formatPath(path)}: ${message}`),
+    jsonPaths,
+  };
+  const { $schema: _s, $defs: _d, definitions: _defs, ...body } = schema;
+  // `{}` accepts anything, which for arguments means a free-form object
+  const out = Object.keys(body).length ? convert(body, ctx, [], 0, []) : { type: "object", freeForm: true };
+  if (out.type !== "object" || out.properties) return out;
+
+  // Gemini needs properties on the declaration itself
+  if (!out.freeForm) return undefined;
+  ctx.warn([], "free-form arguments passed as one JSON string");
+  jsonPaths.push([]);
+  return {
+    type: "object",
+    properties: {
+      [ROOT_JSON_ARG]: {
+        type: "string",
+        description: [out.description, "All arguments as one JSON object."].filter(Boolean).join(" "),
+      },
+    },
+    required: [ROOT_JSON_ARG],
+  };
+}
+
+// JSON text from the model back into a value; only objects and arrays, so plain strings stay strings
+function parseJsonValue(value) {
+  if (typeof value !== "string") return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : value;
+  } catch {
+    return value;
+  }
+}
+
+function decodeAt(node, path) {
+  if (!node || typeof node !== "object") return;
+  const [head, ...rest] = path;
+  const keys = head === "[]" ? (Array.isArray(node) ? node.keys() : []) : head in node ? [head] : [];
+  for (const key of keys) {
+    if (rest.length) decodeAt(node[key], rest);
+    else node[key] = parseJsonValue(node[key]);
+  }
+}
+
+/**
+ * Undo the JSON-string stand-ins in a tool call's arguments (paths from cleanGeminiSchema).
+ * Values that are already objects (e.g. from an OpenAI-compatible model) pass through.
+ */
+export function decodeJsonArgs(args, jsonPaths) {
+  if (!jsonPaths?.length || !args || typeof args !== "object") return args;
+  if (jsonPaths.some((p) => !p.length)) {
+    if (!(ROOT_JSON_ARG in args)) return args;
+    const whole = parseJsonValue(args[ROOT_JSON_ARG]);
+    return whole && typeof whole === "object" ? whole : {};
+  }
+  const out = structuredClone(args);
+  for (const path of jsonPaths) decodeAt(out, path);
+  return out;
+}
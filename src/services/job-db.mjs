@@ -1,33 +1,36 @@
 import fs from "node:fs";
-import { JOBS_DB_PATH, JOBS_DIR, JOB_LOGS_DIR } from "../config.mjs";
+import { JOBS_DIR, JOB_LOGS_DIR } from "../config.mjs";
+import { getRecord, listRecords, transact } from "./store.mjs";
 
 export function ensureJobsDirs() {
   fs.mkdirSync(JOBS_DIR, { recursive: true });
   fs.mkdirSync(JOB_LOGS_DIR, { recursive: true });
 }
 
-export function loadJobs() {
-  try {
-    if (!fs.existsSync(JOBS_DB_PATH)) return { jobs: [] };
-    const raw = fs.readFileSync(JOBS_DB_PATH, "utf8");
-    const parsed = JSON.parse(raw);
-    if (!parsed?.jobs) return { jobs: [] };
-    return parsed;
-  } catch {
-    return { jobs: [] };
-  }
+// Returns copies; change jobs only through insertJob/updateJob.
+export function listJobs() {
+  return listRecords("jobs");
 }
 
-export function saveJobs(db) {
-  fs.writeFileSync(JOBS_DB_PATH, JSON.stringify(db, null, 2));
+export function getJob(id) {
+  return getRecord("jobs", id) || null;
 }
 
-export function getJob(db, id) {
-  return db.jobs.find((j) => j.id === id);
+export function insertJob(job) {
+  transact((tx) => tx.put("jobs", job.id, job));
+  return job;
 }
 
-export function upsertJob(db, job) {
-  const idx = db.jobs.findIndex((j) => j.id === job.id);
-  if (idx >= 0) db.jobs[idx] = job;
-  else db.jobs.push(job);
+/**
+ * Atomically read-modify-write one job. `mutate(job)` edits the copy in place;
+ * returning `false` leaves the record untouched. Returns the stored job, or null.
+ */
+export function updateJob(id, mutate) {
+  return transact((tx) => {
+    const job = tx.get("jobs", id);
+    if (!job) return null;
+    if (mutate(job) === false) return null;
+    tx.put("jobs", id, job);
+    return job;
+  });
 }
@@ -0,0 +1,206 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  JOB_LOGS_DIR,
+  LOG_COMPRESS_AFTER_DAYS,
+  LOG_MAX_AGE_DAYS,
+  LOG_MAX_FILES,
+  LOG_MAX_TOTAL_MB,
+  LOG_RETENTION_INTERVAL_MIN,
+} from "../config.mjs";
+import { getJob, listJobs, updateJob } from "./job-db.mjs";
+import { formatBytes, gzipFile, nowIso } from "../utils/common.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = new Set(["queued", "running"]);
+
+let retentionTimer = null;
+let retentionRunning = false;
+
+function jobIdFromFile(name) {
+  const m = name.match(/^job-([^.]+)\./);
+  return m ? m[1] : null;
+}
+
+function categoryOf(name) {
+  if (/^job-[^.]+\.log\.txt/.test(name)) return "job logs";
+  if (/^job-[^.]+\.meta\.json/.test(name)) return "job meta";
+  if (/^job-[^.]+\.trace\.jsonl/.test(name)) return "tool traces";
+  if (name.startsWith("job-")) return "job other";
+  if (name.startsWith("diff-")) return "diffs";
+  if (name.startsWith("repomix-")) return "repomix";
+  if (name.startsWith("resource-")) return "MCP resources";
+  return "other";
+}
+
+function scanLogsDir() {
+  if (!fs.existsSync(JOB_LOGS_DIR)) return [];
+  const files = [];
+  for (const name of fs.readdirSync(JOB_LOGS_DIR)) {
+    const filePath = path.join(JOB_LOGS_DIR, name);
+    try {
+      const st = fs.statSync(filePath);
+      if (!st.isFile()) continue;
+      files.push({ name, path: filePath, size: st.size, mtimeMs: st.mtimeMs, jobId: jobIdFromFile(name) });
+    } catch {
+      // removed under us
+    }
+  }
+  return files;
+}
+
+/**
+ * Where a job's log lives now: the plain file, its gzipped archive, or null if purged.
+ */
+export function resolveJobLogPath(jobId) {
+  const plain = path.join(JOB_LOGS_DIR, `job-${jobId}.log.txt`);
+  if (fs.existsSync(plain)) return plain;
+  const archived = `${plain}.gz`;
+  if (fs.existsSync(archived)) return archived;
+  return null;
+}
+
+function markJobLog(jobId, name, state, filePath = null) {
+  if (!jobId || categoryOf(name) !== "job logs") return;
+  updateJob(jobId, (j) => {
+    j.logArchive = { state, path: filePath, at: nowIso() };
+  });
+}
+
+/**
+ * One retention pass over JOB_LOGS_DIR:
+ *  1. gzip files older than `compressAfterDays`
+ *  2. delete files older than `maxAgeDays`
+ *  3. delete oldest files until under `maxFiles` and `maxTotalMb`
+ * Files of queued/running jobs are never touched. Job records are updated when their log
+ * is archived or deleted so /job can still find (or explain) it.
+ */
+export async function runLogRetention({
+  compressAfterDays = LOG_COMPRESS_AFTER_DAYS,
+  maxAgeDays = LOG_MAX_AGE_DAYS,
+  maxFiles = LOG_MAX_FILES,
+  maxTotalMb = LOG_MAX_TOTAL_MB,
+} = {}) {
+  if (retentionRunning) return { skipped: true };
+  retentionRunning = true;
+
+  const summary = { compressed: 0, deleted: 0, freedBytes: 0, errors: 0 };
+
+  try {
+    const activeJobIds = new Set(listJobs().filter((j) => ACTIVE_STATUSES.has(j.status)).map((j) => j.id));
+    const isActive = (f) => f.jobId && activeJobIds.has(f.jobId);
+    const now = Date.now();
+
+    // 1. compress
+    for (const f of scanLogsDir()) {
+      if (isActive(f) || f.name.endsWith(".gz") || f.name.endsWith(".meta.json")) continue;
+      const age = now - f.mtimeMs;
+      if (age < compressAfterDays * DAY_MS || age >= maxAgeDays * DAY_MS) continue; // too fresh, or about to expire
+
+      const gzPath = `${f.path}.gz`;
+      try {
+        await gzipFile(f.path, gzPath);
+        // Keep the original mtime so age-based expiry still counts from when the log was written
+        fs.utimesSync(gzPath, new Date(f.mtimeMs), new Date(f.mtimeMs));
+        const gzSize = fs.statSync(gzPath).size;
+        fs.unlinkSync(f.path);
+        summary.compressed += 1;
+        summary.freedBytes += Math.max(0, f.size - gzSize);
+        markJobLog(f.jobId, f.name, "compressed", gzPath);
+      } catch (e) {
+        summary.errors += 1;
+        console.error(`[retention] gzip failed for ${f.name}:`, e?.message || e);
+        try {
+          fs.unlinkSync(gzPath);
+        } catch {}
+      }
+    }
+
+    const remove = (f) => {
+      try {
+        fs.unlinkSync(f.path);
+        summary.deleted += 1;
+        summary.freedBytes += f.size;
+        markJobLog(f.jobId, f.name, "deleted");
+        return true;
+      } catch (e) {
+        summary.errors += 1;
+        console.error(`[retention] delete failed for ${f.name}:`, e?.message || e);
+        return false;
+      }
+    };
+
+    // 2. expire by age
+    let files = scanLogsDir().filter((f) => !isActive(f));
+    for (const f of files) {
+      if (now - f.mtimeMs >= maxAgeDays * DAY_MS) remove(f);
+    }
+
+    // 3. enforce count and size caps, oldest first
+    const all = scanLogsDir();
+    let count = all.length;
+    let totalBytes = all.reduce((sum, f) => sum + f.size, 0);
+    files = all.filter((f) => !isActive(f)).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    const maxBytes = maxTotalMb * 1024 * 1024;
+
+    for (const f of files) {
+      if (count <= maxFiles && totalBytes <= maxBytes) break;
+      if (remove(f)) {
+        count -= 1;
+        totalBytes -= f.size;
+      }
+    }
+  } finally {
+    retentionRunning = false;
+  }
+
+  if (summary.compressed || summary.deleted) {
+    console.log(
+      `[retention] compressed ${summary.compressed}, deleted ${summary.deleted}, freed ${formatBytes(summary.freedBytes)}`
+    );
+  }
+  return summary;
+}
+
+export function startLogRetentionSchedule() {
+  if (retentionTimer) return;
+  const run = () => runLogRetention().catch((e) => console.error("[retention] failed:", e?.message || e));
+  run();
+  retentionTimer = setInterval(run, LOG_RETENTION_INTERVAL_MIN * 60 * 1000);
+}
+
+export function getStorageReport() {
+  const files = scanLogsDir();
+  const byCategory = {};
+  let totalBytes = 0;
+  let gzFiles = 0;
+  let oldest = null;
+
+  for (const f of files) {
+    const cat = categoryOf(f.name);
+    byCategory[cat] ||= { files: 0, bytes: 0 };
+    byCategory[cat].files += 1;
+    byCategory[cat].bytes += f.size;
+    totalBytes += f.size;
+    if (f.name.endsWith(".gz")) gzFiles += 1;
+    if (!oldest || f.mtimeMs < oldest.mtimeMs) oldest = f;
+  }
+
+  let disk = null;
+  try {
+    const st = fs.statfsSync(JOB_LOGS_DIR);
+    disk = { free: st.bavail * st.bsize, total: st.blocks * st.bsize };
+  } catch {
+    // statfs unavailable (older Node)
+  }
+
+  return { dir: JOB_LOGS_DIR, files: files.length, totalBytes, gzFiles, byCategory, oldest, disk };
+}
+
+export function describeJobLog(jobId) {
+  const job = getJob(jobId);
+  const logPath = resolveJobLogPath(jobId);
+  if (logPath) return { logPath, archived: logPath.endsWith(".gz") };
+  if (job?.logArchive?.state === "deleted") return { logPath: null, purgedAt: job.logArchive.at };
+  return { logPath: null };
+}
@@ -1,53 +1,60 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import {
+  MCP_CONFIG_PATH,
+  MCP_HEALTH_INTERVAL_SEC,
+  MCP_HEALTH_TIMEOUT_MS,
+  MCP_RECONNECT_BASE_DELAY_MS,
+  MCP_RECONNECT_MAX_DELAY_MS,
+} from '../config.mjs';
+import { cleanGeminiSchema, decodeJsonArgs } from './gemini-schema.mjs';
 
-const CONFIG_PATH = path.resolve(process.cwd(), 'mcp.json');
-let activeClients = []; // Store all connected clients
+const CONFIG_PATH = path.resolve(process.cwd(), MCP_CONFIG_PATH);
 
-// Helper to replace ${VAR} with actual env values
-function expandEnv(value) {
-  if (Array.isArray(value)) return value.map((item) => expandEnv(item));
+/**
+ * MCP server lifecycle.
+ *
+ * Every server in mcp.json gets an entry in `servers` whose state moves through
+ *   connecting → connected → (process exit / failed ping) → backoff → connecting → …
+ * Reconnects back off exponentially up to MCP_RECONNECT_MAX_DELAY_MS and never give up;
+ * `/mcp restart <name>` skips the wait. mcp.json is watched: added, removed and edited
+ * servers are started, stopped or restarted without touching the others.
+ *
+ * Entries are either local commands or remote servers (all strings get ${VAR} expansion):
+ *   { "command": "node", "args": [...], "env": {...} }
+ *   { "url": "http://10.0.0.5:8931/mcp", "headers": {...}, "bearerToken": "${TOKEN}", "transport": "http" | "sse" }
+ * Without `transport`, remote servers are tried over streamable HTTP first, then SSE.
+ *
+ * Job-scoped servers (`"scope": "job"`, or any entry that uses ${JOB_WORKDIR}) are never
+ * started globally: `openJobMcp` starts a private instance per job with ${JOB_WORKDIR} set to
+ * that job's repo and closes it when the job ends, so concurrent jobs never share one.
+ */
+
+// name -> { name, settings, signature, state, client, generation, tools, attempts, lastError, connectedAt, nextRetryAt, retryTimer }
+const servers = new Map();
+let startup = null;
+let reloadTimer = null;
+
+// Helper to replace ${VAR} with actual env values (`vars` wins, e.g. JOB_WORKDIR)
+function expandEnv(value, vars = {}) {
+  if (Array.isArray(value)) return value.map((item) => expandEnv(item, vars));
   if (value && typeof value === 'object') {
     const out = {};
-    for (const [k, v] of Object.entries(value)) out[k] = expandEnv(v);
+    for (const [k, v] of Object.entries(value)) out[k] = expandEnv(v, vars);
     return out;
   }
   if (typeof value === 'string') {
-    return value.replace(/\$\{(.+?)\}/g, (_m, v) => process.env[v] || '');
+    return value.replace(/\$\{(.+?)\}/g, (_m, v) => vars[v] ?? process.env[v] ?? '');
   }
   return value;
 }
 
-/**
- * 🧹 SANITIZER: Allow-list only Gemini-compatible schema fields.
- */
-function cleanGeminiSchema(schema) {
-  if (!schema || typeof schema !== 'object') return schema;
-
-  const out = {};
-
-  if (schema.type) out.type = schema.type;
-  if (schema.format) out.format = schema.format;
-  if (schema.description) out.description = schema.description;
-  if (schema.nullable) out.nullable = schema.nullable;
-  if (schema.enum) out.enum = schema.enum;
-  if (schema.required) out.required = schema.required;
-
-  if (schema.properties && typeof schema.properties === 'object') {
-    out.properties = {};
-    for (const key of Object.keys(schema.properties)) {
-      out.properties[key] = cleanGeminiSchema(schema.properties[key]);
-    }
-  }
-
-  if (schema.items) out.items = cleanGeminiSchema(schema.items);
-
-  return out;
-}
-
-const toolRegistry = new Map();
+// Gemini tool name -> { server, toolName }; swapped whole so concurrent jobs never see it half-built
+let toolRegistry = new Map();
 
 export async function loadMcpConfig() {
   if (!fs.existsSync(CONFIG_PATH)) return {};
@@ -55,83 +62,539 @@ export async function loadMcpConfig() {
   return JSON.parse(raw);
 }
 
-export async function startMcpServers() {
-  if (activeClients.length > 0) return activeClients;
+function isJobScoped(settings) {
+  return settings?.scope === 'job' || JSON.stringify(settings).includes('${JOB_WORKDIR}');
+}
 
-  const config = await loadMcpConfig();
-  console.log(`🔌 Found ${Object.keys(config).length} MCP servers in config.`);
+function newEntry(name, settings) {
+  return {
+    name,
+    settings,
+    signature: JSON.stringify(settings),
+    jobScoped: isJobScoped(settings),
+    // Job-scoped only: instances currently open
+    activeJobs: 0,
+    state: 'stopped',
+    client: null,
+    // Bumped on every (re)connect or stop; a connect attempt that finds it changed gives up quietly
+    generation: 0,
+    tools: [],
+    transport: null,
+    attempts: 0,
+    lastError: null,
+    connectedAt: null,
+    nextRetryAt: null,
+    retryTimer: null,
+  };
+}
 
-  for (const [serverName, settings] of Object.entries(config)) {
-    try {
-      const expandedSettings = expandEnv(settings);
-      // 1. Prepare Environment Variables
-      const envVars = { ...process.env, ...(expandedSettings.env || {}) };
-
-      // 2. Setup Transport
-      const transport = new StdioClientTransport({
-        command: expandedSettings.command,
-        args: expandedSettings.args || [],
-        env: envVars
-      });
+function newClient() {
+  return new Client(
+    { name: "codex-bot", version: "1.0.0" },
+    { capabilities: { sampling: {} } }
+  );
+}
 
-      // 3. Connect Client
-      const client = new Client(
-        { name: "codex-bot", version: "1.0.0" },
-        { capabilities: { sampling: {} } }
-      );
+function remoteHeaders(settings) {
+  const headers = { ...(settings.headers || {}) };
+  // An unset ${VAR} expands to "", which means no auth rather than "Bearer "
+  if (settings.bearerToken) headers.Authorization = `Bearer ${settings.bearerToken}`;
+  return headers;
+}
+
+// -> { client, transport: "stdio" | "http" | "sse" }; `settings` is already env-expanded
+async function openClient(settings) {
+  if (!settings.url) {
+    const client = newClient();
+    await client.connect(new StdioClientTransport({
+      command: settings.command,
+      args: settings.args || [],
+      env: { ...process.env, ...(settings.env || {}) },
+    }));
+    return { client, transport: 'stdio' };
+  }
 
+  const url = new URL(settings.url);
+  const requestInit = { headers: remoteHeaders(settings) };
+  const kinds = settings.transport ? [settings.transport] : ['http', 'sse'];
+  const errors = [];
+
+  for (const kind of kinds) {
+    if (kind !== 'http' && kind !== 'sse') throw new Error(`unknown transport "${kind}" (use http or sse)`);
+    const client = newClient();
+    const transport = kind === 'sse'
+      ? new SSEClientTransport(url, { requestInit })
+      : new StreamableHTTPClientTransport(url, { requestInit });
+    try {
       await client.connect(transport);
-      console.log(`✅ MCP Server '${serverName}' connected.`);
-      
-      activeClients.push({ name: serverName, client });
+      return { client, transport: kind };
     } catch (e) {
-      console.error(`❌ Failed to start MCP server '${serverName}':`, e.message);
+      await client.close().catch(() => {});
+      errors.push(`${kind}: ${e.message}`);
     }
   }
+  throw new Error(errors.join('; '));
+}
+
+async function connectServer(entry) {
+  clearTimeout(entry.retryTimer);
+  entry.retryTimer = null;
+  entry.nextRetryAt = null;
+  entry.state = 'connecting';
+  const generation = ++entry.generation;
 
-  return activeClients;
+  let client = null;
+  try {
+    const opened = await openClient(expandEnv(entry.settings));
+    client = opened.client;
+    const list = await client.listTools();
+    if (generation !== entry.generation) {
+      await client.close().catch(() => {});
+      return;
+    }
+
+    entry.client = client;
+    entry.tools = list.tools;
+    entry.transport = opened.transport;
+    entry.state = 'connected';
+    entry.attempts = 0;
+    entry.lastError = null;
+    entry.connectedAt = new Date().toISOString();
+    // Fires when the server process exits or the pipe/stream breaks (HTTP outages show up as failed pings)
+    client.onclose = () => {
+      if (entry.client === client) scheduleReconnect(entry, 'connection closed');
+    };
+    console.log(`✅ MCP Server '${entry.name}' connected over ${opened.transport} (${list.tools.length} tools).`);
+  } catch (e) {
+    await client?.close().catch(() => {});
+    if (generation !== entry.generation) return;
+    console.error(`❌ Failed to start MCP server '${entry.name}':`, e.message);
+    scheduleReconnect(entry, e.message);
+  }
+}
+
+function scheduleReconnect(entry, reason) {
+  const client = entry.client;
+  entry.client = null;
+  entry.lastError = reason;
+  entry.attempts += 1;
+  entry.state = 'backoff';
+
+  const delay = Math.min(MCP_RECONNECT_BASE_DELAY_MS * 2 ** (entry.attempts - 1), MCP_RECONNECT_MAX_DELAY_MS);
+  entry.nextRetryAt = Date.now() + delay;
+  entry.retryTimer = setTimeout(() => connectServer(entry), delay);
+  entry.retryTimer.unref?.();
+
+  // entry.client is already cleared, so this close does not re-enter via onclose
+  client?.close().catch(() => {});
+  console.error(`[mcp] '${entry.name}' down (${reason}); retry ${entry.attempts} in ${Math.round(delay / 1000)}s`);
 }
 
-// Get all tools from ALL connected servers combined
+async function stopServer(entry) {
+  entry.generation += 1;
+  clearTimeout(entry.retryTimer);
+  entry.retryTimer = null;
+  entry.nextRetryAt = null;
+  entry.state = 'stopped';
+  entry.tools = [];
+  const client = entry.client;
+  entry.client = null;
+  await client?.close().catch(() => {});
+}
+
+async function checkHealth() {
+  for (const entry of servers.values()) {
+    const client = entry.client;
+    if (entry.state !== 'connected' || !client) continue;
+    try {
+      await client.ping({ timeout: MCP_HEALTH_TIMEOUT_MS });
+    } catch (e) {
+      if (entry.client === client) scheduleReconnect(entry, `ping failed: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Re-read mcp.json and apply the difference. A config that fails to parse is ignored
+ * (the running servers stay as they are). Returns { added, removed, restarted } or { error }.
+ */
+export async function reloadMcpConfig() {
+  let config;
+  try {
+    config = await loadMcpConfig();
+  } catch (e) {
+    console.error(`[mcp] ${CONFIG_PATH} not applied:`, e.message);
+    return { error: e.message };
+  }
+
+  const changes = { added: [], removed: [], restarted: [] };
+  for (const [name, entry] of servers) {
+    if (Object.hasOwn(config, name)) continue;
+    await stopServer(entry);
+    servers.delete(name);
+    changes.removed.push(name);
+  }
+
+  const connecting = [];
+  for (const [name, settings] of Object.entries(config)) {
+    const existing = servers.get(name);
+    if (existing && existing.signature === JSON.stringify(settings)) continue;
+    if (existing) {
+      await stopServer(existing);
+      changes.restarted.push(name);
+    } else {
+      changes.added.push(name);
+    }
+    const entry = newEntry(name, settings);
+    servers.set(name, entry);
+    if (entry.jobScoped) entry.state = 'per-job';
+    else connecting.push(connectServer(entry));
+  }
+  await Promise.all(connecting);
+  return changes;
+}
+
+function watchConfig() {
+  // watchFile (polling) survives editors that replace the file and a file that does not exist yet
+  fs.watchFile(CONFIG_PATH, { interval: 2000, persistent: false }, (cur, prev) => {
+    if (cur.mtimeMs === prev.mtimeMs) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(async () => {
+      const changes = await reloadMcpConfig();
+      if (!changes.error) {
+        const summary = Object.entries(changes)
+          .filter(([, names]) => names.length)
+          .map(([what, names]) => `${what}: ${names.join(', ')}`)
+          .join('; ');
+        console.log(`🔌 Reloaded ${CONFIG_PATH}${summary ? ` (${summary})` : ' (no changes)'}`);
+      }
+    }, 500);
+  });
+}
+
+export async function startMcpServers() {
+  startup ||= (async () => {
+    await reloadMcpConfig();
+    console.log(`🔌 Found ${servers.size} MCP servers in config.`);
+    watchConfig();
+    setInterval(checkHealth, MCP_HEALTH_INTERVAL_SEC * 1000).unref();
+  })();
+  await startup;
+
+  return Array.from(servers.values())
+    .filter((s) => s.client)
+    .map((s) => ({ name: s.name, client: s.client }));
+}
+
+export async function restartMcpServer(name) {
+  await startMcpServers();
+  const entry = servers.get(name);
+  if (!entry) throw new Error(`Unknown MCP server: ${name}`);
+  if (entry.jobScoped) throw new Error(`${name} is job-scoped: each job starts (and stops) its own instance.`);
+  await stopServer(entry);
+  entry.attempts = 0;
+  entry.lastError = null;
+  await connectServer(entry);
+  return getMcpStatus().find((s) => s.name === name);
+}
+
+export function getMcpStatus() {
+  return Array.from(servers.values()).map((s) => ({
+    name: s.name,
+    state: s.state,
+    scope: s.jobScoped ? 'job' : 'shared',
+    activeJobs: s.activeJobs,
+    // Raw (unexpanded) config, so no secrets
+    target: s.settings.url || [s.settings.command, ...(s.settings.args || [])].join(' '),
+    transport: s.transport || (s.settings.url ? s.settings.transport || 'http/sse' : 'stdio'),
+    toolCount: s.tools.length,
+    // tool name -> what the Gemini schema conversion had to approximate
+    schemaWarnings: Object.fromEntries(
+      s.tools.map((t) => [t.name, convertTool(s.name, t).warnings]).filter(([, w]) => w.length)
+    ),
+    attempts: s.attempts,
+    lastError: s.lastError,
+    connectedAt: s.connectedAt,
+    nextRetryAt: s.nextRetryAt,
+  }));
+}
+
+// "github (backoff: connection closed)" for servers whose tools a job will not have; null if all are up
+export function describeMcpOutages() {
+  const down = getMcpStatus().filter((s) => s.scope === 'shared' && s.state !== 'connected');
+  if (!down.length) return null;
+  return down.map((s) => `${s.name} (${s.state}${s.lastError ? `: ${s.lastError}` : ''})`).join(', ');
+}
+
+// Listed tool object -> { decl, warnings, jsonPaths }; a fresh listTools() brings new objects, so stale ones just drop out
+const declCache = new WeakMap();
+
+function convertTool(serverName, tool) {
+  let cached = declCache.get(tool);
+  if (!cached) {
+    const warnings = [];
+    // Arguments Gemini sends as JSON text, decoded again before the call
+    const jsonPaths = [];
+    // The server's own JSON Schema, for providers that take it as is (OpenAI-compatible)
+    const { $schema: _schema, ...jsonSchema } = tool.inputSchema || {};
+    const decl = {
+      name: `${serverName}_${tool.name}`.replace(/-/g, '_'),
+      description: tool.description || '',
+      inputSchema: cleanGeminiSchema(tool.inputSchema, warnings, jsonPaths),
+      jsonSchema
+    };
+    cached = { decl, warnings, jsonPaths };
+    declCache.set(tool, cached);
+  }
+  return cached;
+}
+
+function toToolDecl(serverName, tool) {
+  return convertTool(serverName, tool).decl;
+}
+
+// Get all tools from ALL connected (shared) servers combined
 export async function getAllMcpTools() {
   await startMcpServers();
   let allTools = [];
-  toolRegistry.clear();
+  const registry = new Map();
 
-  for (const { name, client } of activeClients) {
+  for (const entry of servers.values()) {
+    const { name, client } = entry;
+    if (!client) continue;
     try {
       const list = await client.listTools();
+      entry.tools = list.tools;
       const tools = list.tools.map(t => {
-        const sanitizedSchema = cleanGeminiSchema(t.inputSchema);
-        const geminiName = `${name}_${t.name}`.replace(/-/g, '_');
-
-        toolRegistry.set(geminiName, { client, toolName: t.name });
-
-        return {
-          name: geminiName,
-          description: t.description || '',
-          inputSchema: sanitizedSchema
-        };
+        const { decl, jsonPaths } = convertTool(name, t);
+        registry.set(decl.name, { server: name, toolName: t.name, jsonPaths });
+        return decl;
       });
       allTools.push(...tools);
     } catch (e) {
       console.error(`⚠️ Could not list tools for ${name}:`, e.message);
+      if (entry.client === client) scheduleReconnect(entry, `listTools failed: ${e.message}`);
     }
   }
+  toolRegistry = registry;
   return allTools;
 }
 
-// Execute a tool by finding the right client
+// Execute a tool on whichever client currently serves its server (it may have reconnected)
 export async function executeMcpTool(geminiToolName, args) {
   if (!toolRegistry.size) await getAllMcpTools();
   const entry = toolRegistry.get(geminiToolName);
 
   if (!entry) throw new Error(`Tool ${geminiToolName} not found.`);
 
-  const result = await entry.client.callTool({
+  const server = servers.get(entry.server);
+  if (!server?.client) {
+    const why = server ? `not connected (${server.state}${server.lastError ? `: ${server.lastError}` : ''})` : 'no longer configured';
+    throw new Error(`MCP server '${entry.server}' is ${why}; its tools are unavailable.`);
+  }
+
+  const result = await server.client.callTool({
     name: entry.toolName,
-    arguments: args
+    arguments: decodeJsonArgs(args, entry.jsonPaths)
   });
 
   return result.content.map(c => c.text).join('\n');
 }
+
+// Tool names of job-scoped servers, as seen the last time a job started them (for listings)
+export function getJobScopedToolNames() {
+  return Array.from(servers.values())
+    .filter((s) => s.jobScoped)
+    .flatMap((s) => s.tools.map((t) => toToolDecl(s.name, t).name));
+}
+
+/**
+ * One job's view of MCP: the shared servers plus private instances of the job-scoped ones,
+ * rooted at `workdir`. Tool calls must go through the returned `callTool`; `close()` (call it
+ * in a finally) shuts the private instances down. A job-scoped server that fails to start is
+ * reported in `failures` and the job runs without it.
+ */
+export async function openJobMcp({ jobId, workdir }) {
+  const shared = await getAllMcpTools();
+  // job tool name -> { client, toolName } (job-scoped) or { server, toolName } (shared)
+  const registry = new Map(toolRegistry);
+  const tools = [...shared];
+  const opened = [];
+  const failures = [];
+
+  for (const entry of servers.values()) {
+    if (!entry.jobScoped) continue;
+    let client = null;
+    try {
+      ({ client } = await openClient(expandEnv(entry.settings, { JOB_WORKDIR: workdir, JOB_ID: jobId })));
+      const list = await client.listTools();
+      opened.push({ entry, client });
+      entry.activeJobs += 1;
+      entry.tools = list.tools;
+      entry.lastError = null;
+      for (const t of list.tools) {
+        const { decl, jsonPaths } = convertTool(entry.name, t);
+        registry.set(decl.name, { client, toolName: t.name, jsonPaths });
+        tools.push(decl);
+      }
+    } catch (e) {
+      await client?.close().catch(() => {});
+      entry.lastError = e.message;
+      failures.push(`${entry.name}: ${e.message}`);
+      console.error(`❌ Job ${jobId}: could not start MCP server '${entry.name}':`, e.message);
+    }
+  }
+
+  // Job-scoped instances first: for the same URI they hold this job's copy
+  const resourceClients = [
+    ...opened.map(({ entry, client }) => ({ name: entry.name, client })),
+    ...sharedClients(),
+  ].filter(({ client }) => client.getServerCapabilities()?.resources);
+  if (resourceClients.length) {
+    const known = await collectResources(resourceClients);
+    tools.push({
+      name: READ_RESOURCE_TOOL,
+      description:
+        'Read an MCP resource (file, document, record) by URI.' +
+        (known.length
+          ? ` Known resources: ${known.slice(0, 25).map((r) => `${r.uri}${r.name ? ` (${r.name})` : ''}`).join('; ')}` +
+            (known.length > 25 ? `; and ${known.length - 25} more` : '')
+          : ''),
+      inputSchema: {
+        type: 'object',
+        properties: {
+          uri: { type: 'string', description: 'Resource URI' },
+          server: { type: 'string', description: 'MCP server name, if known' },
+        },
+        required: ['uri'],
+      },
+    });
+  }
+
+  return {
+    tools,
+    failures,
+    async callTool(name, args) {
+      if (name === READ_RESOURCE_TOOL && resourceClients.length) {
+        const { contents } = await readResourceFrom(resourceClients, args?.uri, args?.server);
+        return cut(resourceText(contents), RESOURCE_TOOL_MAX_CHARS);
+      }
+      const target = registry.get(name);
+      if (target?.client) {
+        const result = await target.client.callTool({ name: target.toolName, arguments: decodeJsonArgs(args, target.jsonPaths) });
+        return result.content.map(c => c.text).join('\n');
+      }
+      return executeMcpTool(name, args);
+    },
+    async close() {
+      await Promise.all(opened.map(async ({ entry, client }) => {
+        entry.activeJobs -= 1;
+        await client.close().catch(() => {});
+      }));
+      opened.length = 0;
+    },
+  };
+}
+
+// Synthetic tool offered to jobs when any server has resources
+export const READ_RESOURCE_TOOL = 'mcp_read_resource';
+const RESOURCE_TOOL_MAX_CHARS = 50000;
+
+function cut(text, max) {
+  return text.length > max ? `${text.slice(0, max)}\n… [truncated, ${text.length - max} more chars]` : text;
+}
+
+function sharedClients() {
+  return Array.from(servers.values())
+    .filter((s) => s.client)
+    .map((s) => ({ name: s.name, client: s.client }));
+}
+
+async function collectResources(clients) {
+  const out = [];
+  for (const { name, client } of clients) {
+    try {
+      const { resources } = await client.listResources();
+      out.push(...resources.map((r) => ({ server: name, uri: r.uri, name: r.name, mimeType: r.mimeType, description: r.description })));
+    } catch (e) {
+      console.error(`⚠️ Could not list resources for ${name}:`, e.message);
+    }
+  }
+  return out;
+}
+
+// Tries the named server, else every candidate in turn (a URI names no server)
+async function readResourceFrom(clients, uri, serverName = null) {
+  if (!uri) throw new Error('uri is required');
+  const candidates = serverName ? clients.filter((c) => c.name === serverName) : clients;
+  if (!candidates.length) throw new Error(serverName ? `No MCP server '${serverName}' with resources` : 'No MCP server offers resources');
+
+  const errors = [];
+  for (const { name, client } of candidates) {
+    try {
+      const { contents } = await client.readResource({ uri });
+      return { server: name, contents };
+    } catch (e) {
+      errors.push(`${name}: ${e.message}`);
+    }
+  }
+  throw new Error(`Could not read ${uri} (${errors.join('; ')})`);
+}
+
+// Text contents as-is; binary ones as a placeholder (models get text only)
+export function resourceText(contents) {
+  return contents
+    .map((c) => (c.text != null ? c.text : `[binary ${c.mimeType || 'data'}, ${Buffer.from(c.blob || '', 'base64').length} bytes: ${c.uri}]`))
+    .join('\n\n');
+}
+
+/**
+ * Prompts/resources of the shared servers (job-scoped ones only run inside jobs).
+ */
+export async function listMcpPrompts() {
+  await startMcpServers();
+  const out = [];
+  for (const { name, client } of sharedClients()) {
+    if (!client.getServerCapabilities()?.prompts) continue;
+    try {
+      const { prompts } = await client.listPrompts();
+      out.push(...prompts.map((p) => ({ server: name, name: p.name, description: p.description || '', arguments: p.arguments || [] })));
+    } catch (e) {
+      console.error(`⚠️ Could not list prompts for ${name}:`, e.message);
+    }
+  }
+  return out;
+}
+
+// -> { description, text }: the prompt's messages flattened into one job prompt
+export async function renderMcpPrompt(serverName, promptName, args = {}) {
+  await startMcpServers();
+  const entry = servers.get(serverName);
+  if (!entry) throw new Error(`Unknown MCP server: ${serverName}`);
+  if (!entry.client) {
+    throw new Error(entry.jobScoped ? `${serverName} is job-scoped; its prompts are not available here.` : `${serverName} is ${entry.state}.`);
+  }
+
+  const result = await entry.client.getPrompt({ name: promptName, arguments: args });
+  const parts = result.messages.map((m) => {
+    const c = m.content;
+    const body = c.type === 'text' ? c.text : c.type === 'resource' ? resourceText([c.resource]) : `[${c.type}]`;
+    return result.messages.length > 1 ? `${m.role}: ${body}` : body;
+  });
+  return { description: result.description || '', text: parts.join('\n\n') };
+}
+
+export async function listMcpResources() {
+  await startMcpServers();
+  return collectResources(sharedClients().filter(({ client }) => client.getServerCapabilities()?.resources));
+}
+
+// -> { server, contents: [{ uri, mimeType, text | blob }] }
+export async function readMcpResource(uri, serverName = null) {
+  await startMcpServers();
+  return readResourceFrom(
+    sharedClients().filter(({ client }) => client.getServerCapabilities()?.resources),
+    uri,
+    serverName
+  );
+}
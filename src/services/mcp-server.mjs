@@ -0,0 +1,260 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import zlib from "node:zlib";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { z } from "zod";
+import {
+  MCP_SERVER_ENABLED,
+  MCP_SERVER_HOST,
+  MCP_SERVER_PORT,
+  MCP_SERVER_TOKENS,
+  REPOS_BASE_DIR,
+} from "../config.mjs";
+import { filterJobs, parseJobsQuery } from "../commands/jobs.mjs";
+import { listProviderNames } from "./cli-providers.mjs";
+import { getJob, listJobs } from "./job-db.mjs";
+import { describeJobLog } from "./log-retention.mjs";
+import { getChatModel, getChatProvider } from "./provider-state.mjs";
+import { getChatWorkdir, listReposUnderBaseDir, resolveRepoToWorkdir } from "./repo-manager.mjs";
+import { resolveJobSession } from "./sessions.mjs";
+
+/**
+ * The bot's job queue as an MCP server, for agents and scripts that should not go through
+ * Telegram. Tools: enqueue_job, get_job, list_jobs, cancel_job, list_repos, get_job_log.
+ *
+ * Every request needs `Authorization: Bearer <token>`; the token decides which chat the client
+ * acts as (MCP_SERVER_TOKENS). Jobs are created exactly like chat jobs, so the worker posts
+ * progress and results to that chat. Stateless: each POST gets a fresh server instance.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_LOG_TAIL_CHARS = 8000;
+
+function parseTokens(raw) {
+  const out = [];
+  for (const part of String(raw || "").split(",")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const chatId = Number(part.slice(0, i).trim());
+    const token = part.slice(i + 1).trim();
+    if (Number.isFinite(chatId) && token) out.push({ chatId, token: Buffer.from(token) });
+  }
+  return out;
+}
+
+// -> chatId, or null; compares every token in constant time
+function authenticate(req, tokens) {
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+  const given = Buffer.from(m[1].trim());
+  let chatId = null;
+  for (const t of tokens) {
+    if (t.token.length === given.length && crypto.timingSafeEqual(t.token, given)) chatId = t.chatId;
+  }
+  return chatId;
+}
+
+function asText(value) {
+  return { content: [{ type: "text", text: typeof value === "string" ? value : JSON.stringify(value, null, 2) }] };
+}
+
+function asError(message) {
+  return { isError: true, content: [{ type: "text", text: message }] };
+}
+
+function publicJob(j) {
+  return {
+    id: j.id,
+    status: j.status,
+    provider: j.provider || "codex",
+    model: j.model || null,
+    workdir: j.workdir,
+    prompt: j.prompt,
+    createdAt: j.createdAt,
+    startedAt: j.startedAt,
+    finishedAt: j.finishedAt,
+    exit: j.exit,
+    prUrls: j.prUrls || [],
+    usage: j.usage || null,
+    retryOf: j.retryOf || null,
+    continuedFrom: j.continuedFrom || null,
+  };
+}
+
+function readLogTail(logPath, chars) {
+  const raw = fs.readFileSync(logPath);
+  const text = logPath.endsWith(".gz") ? zlib.gunzipSync(raw).toString("utf8") : raw.toString("utf8");
+  return text.length > chars ? text.slice(-chars) : text;
+}
+
+function buildServer(chatId, { enqueueJob, cancelJob, sendMessageSafe }) {
+  const server = new McpServer({ name: "odysseus-bot", version: "1.0.0" });
+  const ownJob = (id) => {
+    const j = getJob(id);
+    return j && j.chatId === chatId ? j : null;
+  };
+
+  server.registerTool(
+    "enqueue_job",
+    {
+      description:
+        "Queue a coding job. It runs like a job sent from the owning Telegram chat (same repo, provider and " +
+        "model defaults) and the chat is notified of its result. Returns the job id; poll get_job for status.",
+      inputSchema: {
+        prompt: z.string().min(1).describe("Task for the agent"),
+        provider: z.string().optional().describe(`One of: ${listProviderNames().join(", ")} (default: the chat's)`),
+        repo: z.string().optional().describe("Repo name under the repos dir, or absolute path (default: the chat's)"),
+        model: z.string().optional().describe("Model override for this job"),
+      },
+    },
+    async ({ prompt, provider, repo, model }) => {
+      const providerName = (provider || getChatProvider(chatId)).toLowerCase();
+      if (!listProviderNames().includes(providerName)) return asError(`Unknown provider: ${provider}`);
+
+      const workdir = repo ? resolveRepoToWorkdir(repo) : getChatWorkdir(chatId);
+      if (!workdir) return asError(`Repo not found or not a git repo: ${repo}`);
+
+      const chosenModel = model || getChatModel(chatId, providerName);
+      const sessionId = providerName === "gemini" ? resolveJobSession(chatId, workdir) : null;
+      const id = await enqueueJob(chatId, prompt, {
+        workdir,
+        provider: providerName,
+        sessionId,
+        model: chosenModel,
+        modelSource: model ? "mcp" : chosenModel ? "chat" : null,
+      });
+
+      await sendMessageSafe(
+        chatId,
+        `📥 Job ${id} queued over MCP via ${providerName}${chosenModel ? ` (${chosenModel})` : ""}:\n` +
+          `${prompt.slice(0, 300)}${prompt.length > 300 ? "…" : ""}\nUse /job ${id} or /cancel ${id}.`
+      ).catch(() => {});
+      return asText({ id, provider: providerName, model: chosenModel, workdir });
+    }
+  );
+
+  server.registerTool(
+    "get_job",
+    { description: "Status and details of one job.", inputSchema: { id: z.string() } },
+    async ({ id }) => {
+      const j = ownJob(id);
+      return j ? asText(publicJob(j)) : asError(`Job not found: ${id}`);
+    }
+  );
+
+  server.registerTool(
+    "list_jobs",
+    {
+      description:
+        "Recent jobs, newest first. `query` uses the /jobs syntax: status words, provider names, repo:<name>, " +
+        'since:3d, until:2025-01-31, "text in prompt".',
+      inputSchema: {
+        query: z.string().optional(),
+        limit: z.number().int().min(1).max(100).optional(),
+      },
+    },
+    async ({ query, limit = 20 }) => {
+      let filter;
+      try {
+        filter = parseJobsQuery(query || "");
+      } catch (e) {
+        return asError(e.message);
+      }
+      const jobs = filterJobs(
+        listJobs().filter((j) => j.chatId === chatId),
+        filter
+      )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(publicJob);
+      return asText(jobs);
+    }
+  );
+
+  server.registerTool(
+    "cancel_job",
+    { description: "Cancel a queued or running job.", inputSchema: { id: z.string() } },
+    async ({ id }) => {
+      const r = await cancelJob(chatId, id);
+      if (r.ok) {
+        await sendMessageSafe(chatId, `🛑 Job ${id} canceled over MCP.`).catch(() => {});
+        return asText({ id, canceled: true });
+      }
+      if (r.reason === "not_found") return asError(`Job not found: ${id}`);
+      return asError(`Job ${id} is ${r.status || r.reason}; nothing to cancel.`);
+    }
+  );
+
+  server.registerTool(
+    "list_repos",
+    { description: `Git repos under ${REPOS_BASE_DIR} (usable as enqueue_job's repo), plus the chat's current one.` },
+    async () => asText({ current: getChatWorkdir(chatId), repos: listReposUnderBaseDir() })
+  );
+
+  server.registerTool(
+    "get_job_log",
+    {
+      description: "The end of a job's log (agent output, tool calls, errors).",
+      inputSchema: { id: z.string(), tail_chars: z.number().int().min(100).max(200000).optional() },
+    },
+    async ({ id, tail_chars = DEFAULT_LOG_TAIL_CHARS }) => {
+      const j = ownJob(id);
+      if (!j) return asError(`Job not found: ${id}`);
+      const log = describeJobLog(j.id);
+      if (!log.logPath) {
+        return asError(log.purgedAt ? `Log purged by retention at ${log.purgedAt}.` : `Job ${id} has no log yet.`);
+      }
+      return asText(readLogTail(log.logPath, tail_chars));
+    }
+  );
+
+  return server;
+}
+
+function reply(res, status, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Start listening if MCP_SERVER_ENABLED; returns the http.Server or null.
+ */
+export function startMcpServerMode({ enqueueJob, cancelJob, sendMessageSafe }) {
+  if (!MCP_SERVER_ENABLED) return null;
+  const tokens = parseTokens(MCP_SERVER_TOKENS);
+  if (!tokens.length) {
+    console.error("[mcp-server] MCP_SERVER_ENABLED but no valid MCP_SERVER_TOKENS (<chatId>=<token>); not starting");
+    return null;
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/mcp") return reply(res, 404, "Not found");
+    const chatId = authenticate(req, tokens);
+    if (chatId == null) return reply(res, 401, "Unauthorized");
+    // Stateless mode: no SSE stream or session to resume or delete
+    if (req.method !== "POST") return reply(res, 405, "Method not allowed");
+    if (Number(req.headers["content-length"] || 0) > MAX_BODY_BYTES) return reply(res, 413, "Request too large");
+
+    const server = buildServer(chatId, { enqueueJob, cancelJob, sendMessageSafe });
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on("close", () => {
+      transport.close().catch(() => {});
+      server.close().catch(() => {});
+    });
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+    } catch (e) {
+      console.error("[mcp-server] request failed:", e?.message || e);
+      if (!res.headersSent) reply(res, 500, "Internal error");
+    }
+  });
+
+  httpServer.on("error", (e) => console.error("[mcp-server]", e?.message || e));
+  httpServer.listen(MCP_SERVER_PORT, MCP_SERVER_HOST, () => {
+    console.log(`🛰️ MCP server mode on http://${MCP_SERVER_HOST}:${MCP_SERVER_PORT}/mcp (${tokens.length} token(s))`);
+  });
+  return httpServer;
+}
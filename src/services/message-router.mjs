@@ -1,51 +1,286 @@
 import fs from "node:fs";
 import path from "node:path";
 import {
+  ADMIN_CHAT_IDS,
   ALLOWED_CHAT_ID,
+  AUTO_RETRY_ENABLED,
+  AUTO_RETRY_MAX_ATTEMPTS,
+  CODEX_APPROVAL_RELAY,
   CODEX_BIN,
   CODEX_MODEL,
   GEMINI_MODEL,
   JOB_LOGS_DIR,
+  LOG_COMPRESS_AFTER_DAYS,
+  LOG_MAX_AGE_DAYS,
+  LOG_MAX_FILES,
+  LOG_MAX_TOTAL_MB,
   MAX_INLINE_OUTPUT_CHARS,
   MEMORY_HIGH_MB,
+  OPENAI_COMPAT_BASE_URL,
+  OPENAI_COMPAT_MODEL,
   REPOS_BASE_DIR,
   TELEGRAM_MAX_CHARS,
   USE_UNSAFE_CODEX,
   WORKDIR,
+  WORKER_CONCURRENCY,
 } from "../config.mjs";
+import { createJobsCommand } from "../commands/jobs.mjs";
 import { createRepomixCommand } from "../commands/repomix.mjs";
-import { exec, formatBytes, getSystemMemInfo } from "../utils/common.mjs";
+import { exec, formatBytes, getSystemMemInfo, safeBaseName } from "../utils/common.mjs";
 import {
   getChatWorkdir,
   listReposUnderBaseDir,
   resolveRepoToWorkdir,
   updateChatRepo,
 } from "./repo-manager.mjs";
-import { getJob, loadJobs } from "./job-db.mjs";
-import { getChatProvider, setChatProvider } from "./provider-state.mjs";
+import { getJob, listJobs } from "./job-db.mjs";
+import { onApprovalCallback } from "./approvals.mjs";
+import {
+  getAllMcpTools,
+  getJobScopedToolNames,
+  getMcpStatus,
+  listMcpPrompts,
+  listMcpResources,
+  readMcpResource,
+  reloadMcpConfig,
+  renderMcpPrompt,
+  restartMcpServer,
+  startMcpServers,
+} from "./mcp-manager.mjs";
+import { findCliProviderByCommand, listProviderNames, loadCliProviders } from "./cli-providers.mjs";
+import { loadPty } from "../providers/CliProvider.mjs";
+import {
+  getChatFallback,
+  getChatModel,
+  getChatModels,
+  getChatProvider,
+  setChatFallback,
+  setChatModel,
+  setChatProvider,
+} from "./provider-state.mjs";
+import { clearActiveSession, getSession, resolveJobSession } from "./sessions.mjs";
+import { readTrace, resolveTracePath, summarizeTrace } from "./tool-trace.mjs";
+import {
+  TOOL_ACTIONS,
+  clearChatToolRules,
+  getChatToolRules,
+  getGlobalToolRules,
+  resolveToolAction,
+  setChatToolRule,
+} from "./tool-policy.mjs";
+import { describeJobLog, getStorageReport, runLogRetention } from "./log-retention.mjs";
+import { formatCost, formatUsageLine, summarizeUsage } from "./usage.mjs";
 
 function isAllowed(msg) {
   if (!ALLOWED_CHAT_ID) return true;
   return String(msg?.chat?.id) === ALLOWED_CHAT_ID;
 }
 
-export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueueJob, cancelJob }) {
+const MODEL_NAME_RE = /^[A-Za-z0-9][\w.:/-]{0,99}$/;
+
+// "/gemini@gemini-2.5-flash …" carries a model override; "/jobs@MyCodeBot" (group chats) is a bot mention
+function splitCommandSuffix(text) {
+  const m = text.match(/^\/([a-z][a-z0-9_-]*)@(\S+)([\s\S]*)$/i);
+  if (!m) return { text, model: null };
+  const [, command, suffix, rest] = m;
+  return { text: `/${command}${rest}`, model: /bot$/i.test(suffix) ? null : suffix };
+}
+
+// `key=value key2="two words"` -> { key: "value", key2: "two words" }
+function parsePromptArgs(raw) {
+  const args = {};
+  for (const m of String(raw || "").matchAll(/([\w.-]+)=(?:"([^"]*)"|(\S+))/g)) args[m[1]] = m[2] ?? m[3];
+  return args;
+}
+
+function resourceFileName(content, index) {
+  const base = safeBaseName(path.basename(String(content.uri || "").replace(/[?#].*$/, "")) || `resource-${index}`);
+  if (path.extname(base)) return base;
+  const mime = content.mimeType || "";
+  const ext = mime.includes("json") ? ".json" : mime.includes("markdown") ? ".md" : content.text != null ? ".txt" : ".bin";
+  return `${base}${ext}`;
+}
+
+function globalModelFor(provider) {
+  if (provider === "codex") return CODEX_MODEL;
+  if (provider === "gemini") return GEMINI_MODEL;
+  if (provider === "openai") return OPENAI_COMPAT_MODEL;
+  return loadCliProviders()[provider]?.model || null;
+}
+
+function isAdmin(chatId) {
+  if (!ADMIN_CHAT_IDS.length) return true;
+  return ADMIN_CHAT_IDS.includes(String(chatId));
+}
+
+export function createMessageHandler({
+  sendMessageSafe,
+  sendDocumentSafe,
+  editMessageSafe,
+  answerCallbackSafe,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  providerStatus,
+}) {
   const runRepomixCommand = createRepomixCommand({ sendMessageSafe, sendDocumentSafe });
+  const { runJobsCommand, onJobsPage } = createJobsCommand({ sendMessageSafe, editMessageSafe });
 
-  async function queueJob(chatId, prompt, providerOverride = null) {
+  // `model`: inline override (/gemini@model); else the chat's /setmodel choice; else provider default
+  async function queueJob(chatId, prompt, providerOverride = null, { sessionId = null, model = null } = {}) {
     const workdir = getChatWorkdir(chatId);
     const provider = providerOverride || getChatProvider(chatId);
-    const id = await enqueueJob(chatId, prompt, { workdir, provider });
-    return { id, workdir, provider };
+    const session = provider === "gemini" ? resolveJobSession(chatId, workdir, sessionId) : null;
+    const chosenModel = model || getChatModel(chatId, provider);
+    const id = await enqueueJob(chatId, prompt, {
+      workdir,
+      provider,
+      sessionId: session,
+      model: chosenModel,
+      modelSource: model ? "inline" : chosenModel ? "chat" : null,
+    });
+    return { id, workdir, provider, sessionId: session, model: chosenModel };
+  }
+
+  function queuedReply(id, provider, model) {
+    return `✅ Queued job ${id} via ${provider}${model ? ` (${model})` : ""}. Use /job ${id} or /jobs.`;
+  }
+
+  // Whether continueJob has something to resume (or to explain, for an unfinished Codex job)
+  function hasConversation(prev) {
+    const provider = prev.provider || "codex";
+    if (provider === "gemini") return Boolean(prev.sessionId);
+    if (provider !== "codex") return false;
+    if (prev.status === "queued" || prev.status === "running") return true;
+    return Boolean(prev.codexSessionId || prev.codexResumeSessionId);
+  }
+
+  // Queue a follow-up in the conversation of an earlier job (in that job's repo)
+  async function continueJob(chatId, prev, prompt) {
+    const provider = prev.provider || "codex";
+    if (provider === "codex") return continueCodexJob(chatId, prev, prompt);
+    if (provider !== "gemini" || !prev.sessionId) {
+      return sendMessageSafe(chatId, `Job ${prev.id} has no conversation to continue.`);
+    }
+    const id = await enqueueJob(chatId, prompt, {
+      workdir: prev.workdir,
+      provider: "gemini",
+      sessionId: resolveJobSession(chatId, prev.workdir, prev.sessionId),
+      continuedFrom: prev.id,
+      model: getChatModel(chatId, "gemini"),
+      modelSource: getChatModel(chatId, "gemini") ? "chat" : null,
+    });
+    return sendMessageSafe(chatId, `💬 Queued job ${id}, continuing the conversation from job ${prev.id}.`);
+  }
+
+  // Resume the `codex exec` session an earlier job ran in
+  async function continueCodexJob(chatId, prev, prompt) {
+    if ((prev.provider || "codex") !== "codex") {
+      return sendMessageSafe(chatId, `Job ${prev.id} ran on ${prev.provider}, not Codex. Use /continue ${prev.id} <prompt>.`);
+    }
+    if (prev.status === "queued" || prev.status === "running") {
+      return sendMessageSafe(chatId, `Job ${prev.id} is still ${prev.status}; continue it once it has finished.`);
+    }
+    const sessionId = prev.codexSessionId || prev.codexResumeSessionId;
+    if (!sessionId) return sendMessageSafe(chatId, `No Codex session id was captured for job ${prev.id}.`);
+
+    const id = await enqueueJob(chatId, prompt, {
+      workdir: prev.workdir,
+      provider: "codex",
+      codexResumeSessionId: sessionId,
+      continuedFrom: prev.id,
+      // Same model as the session it resumes
+      model: prev.model || null,
+      modelSource: prev.modelSource || null,
+    });
+    return sendMessageSafe(chatId, `💬 Queued job ${id}, resuming Codex session ${sessionId.slice(0, 8)} from job ${prev.id}.`);
+  }
+
+  // Ids from the first job of a continuation chain down to `j`
+  function jobLineage(j) {
+    const chain = [j.id];
+    let cur = j;
+    while (cur.continuedFrom && chain.length < 50) {
+      chain.unshift(cur.continuedFrom);
+      cur = getJob(cur.continuedFrom);
+      if (!cur) break;
+    }
+    return chain;
+  }
+
+  async function showJob(chatId, id) {
+    const j = getJob(id);
+    if (!j || j.chatId !== chatId) return sendMessageSafe(chatId, "Job not found.");
+    const session = j.sessionId ? getSession(j.sessionId) : null;
+
+    const lines = [
+      `Job ${j.id}`,
+      `Status: ${j.status}`,
+      `Provider: ${j.provider || "codex"}`,
+      j.model ? `Model: ${j.model}${j.modelSource ? ` (${j.modelSource})` : ""}` : null,
+      `Repo: ${j.workdir || WORKDIR}`,
+      `Created: ${j.createdAt}`,
+      j.startedAt ? `Started: ${j.startedAt}` : null,
+      j.finishedAt ? `Finished: ${j.finishedAt}` : null,
+      j.status === "running" && j.slot ? `Worker slot: ${j.slot}/${WORKER_CONCURRENCY}` : null,
+      j.pid ? `PID: ${j.pid}` : null,
+      j.exit ? `Exit: ${JSON.stringify(j.exit)}` : null,
+      formatUsageLine(j.usage),
+      j.recovery ? `Recovery: ${j.recovery.lastAction} at ${j.recovery.recoveredAt}` : null,
+      j.attempts?.length > 1 ? `Attempts: ${j.attempts.length}` : null,
+      j.status === "queued" && j.notBefore ? `Next attempt after: ${j.notBefore}` : null,
+      j.retryOf ? `Retry of: /job ${j.retryOf}` : null,
+      j.retriedBy?.length ? `Retried as: ${j.retriedBy.map((r) => `/job ${r}`).join(", ")}` : null,
+      ...(j.reroutes || []).map((r) => `Rerouted: ${r.from} → ${r.to} at ${r.at} (${r.reason})`),
+      session ? `Session: ${session.id} (${session.jobIds.length} jobs, ${session.contents.length} messages)` : null,
+      j.codexSessionId ? `Codex session: ${j.codexSessionId}` : null,
+      j.codexResumeSessionId && j.codexResumeSessionId !== j.codexSessionId
+        ? `Resumed Codex session: ${j.codexResumeSessionId}`
+        : null,
+      j.continuedFrom ? `Lineage: ${jobLineage(j).map((x) => (x === j.id ? `${x} (this)` : `/job ${x}`)).join(" → ")}` : null,
+      j.continuedBy?.length ? `Continued by: ${j.continuedBy.map((c) => `/job ${c}`).join(", ")}` : null,
+      resolveTracePath(j.id) ? `Tool calls: /trace ${j.id}` : null,
+      "",
+      `Prompt: ${j.prompt.slice(0, 600)}${j.prompt.length > 600 ? "…" : ""}`,
+    ].filter(Boolean);
+
+    const log = describeJobLog(j.id);
+    if (log.purgedAt) lines.push("", `Log purged by retention at ${log.purgedAt}.`);
+    if (["failed", "succeeded", "canceled", "interrupted"].includes(j.status) && log.logPath) {
+      await sendMessageSafe(chatId, lines.join("\n"));
+      return sendDocumentSafe(chatId, log.logPath, `Job ${j.id} log${log.archived ? " (archived, gzip)" : ""}`);
+    }
+
+    return sendMessageSafe(chatId, lines.join("\n"));
   }
 
-  return async function onMessage(msg) {
+  async function onMessage(msg) {
     try {
       if (!isAllowed(msg)) return;
 
       const chatId = msg.chat.id;
-      const text = (msg.text || "").trim();
-      if (!text) return;
+      const raw = (msg.text || "").trim();
+      if (!raw) return;
+
+      const { text, model: modelOverride } = splitCommandSuffix(raw);
+      if (modelOverride) {
+        const command = text.match(/^\/(\S+)/)[1].toLowerCase();
+        const isProviderCommand =
+          ["codex", "gemini", "openai", "ask"].includes(command) || Boolean(findCliProviderByCommand(command));
+        if (!isProviderCommand) {
+          return sendMessageSafe(chatId, "Model overrides work on provider commands only, e.g. /gemini@gemini-2.5-flash <prompt>");
+        }
+        if (!MODEL_NAME_RE.test(modelOverride)) return sendMessageSafe(chatId, `❌ Bad model name: ${modelOverride}`);
+      }
+
+      // Replying to a job's messages continues that job's conversation
+      const replyTo = msg.reply_to_message?.message_id;
+      if (replyTo && !text.startsWith("/")) {
+        const prev = listJobs().find((j) => j.chatId === chatId && j.messageIds?.includes(replyTo));
+        // Jobs with nothing to resume (openai, CLI providers, Codex without a session) fall
+        // through and the text is queued as a new job
+        if (prev && hasConversation(prev)) return continueJob(chatId, prev, text);
+      }
 
       if (text === "/repo") {
         const wd = getChatWorkdir(chatId);
@@ -78,15 +313,270 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         return sendMessageSafe(chatId, `✅ Switched repo.\nWORKDIR:\n${wd}`);
       }
 
+      if (text === "/providers") {
+        await sendMessageSafe(chatId, "🩺 Checking providers…");
+        const statuses = await providerStatus();
+        const fallback = getChatFallback(chatId);
+
+        const lines = [
+          `Providers (default here: ${getChatProvider(chatId)}; fallback: ${fallback.length ? fallback.join(" → ") : "off"})`,
+          "",
+        ];
+        for (const s of statuses) {
+          lines.push(
+            `${s.ok ? "✅" : "❌"} ${s.name}` + (s.model ? ` — ${s.model}` : ""),
+            ...[
+              s.version ? `version: ${s.version}` : null,
+              s.detail ? `at: ${s.detail}` : null,
+              s.error ? `problem: ${s.error}` : null,
+              s.lastError ? `last failure: /job ${s.lastError.jobId} (${s.lastError.at || "?"}) ${s.lastError.message.slice(0, 160)}` : null,
+            ]
+              .filter(Boolean)
+              .map((l) => `   ${l}`)
+          );
+        }
+        return sendMessageSafe(chatId, lines.join("\n"));
+      }
+
+      if (text === "/mcp" || text.startsWith("/mcp ")) {
+        const [sub, name] = text.replace("/mcp", "").trim().split(/\s+/);
+
+        if (sub === "restart" || sub === "reload") {
+          if (!isAdmin(chatId)) return sendMessageSafe(chatId, `⛔ /mcp ${sub} is admin-only.`);
+        }
+        if (sub === "restart") {
+          if (!name) return sendMessageSafe(chatId, "Usage: /mcp restart <name>");
+          try {
+            const s = await restartMcpServer(name);
+            return sendMessageSafe(
+              chatId,
+              s.state === "connected"
+                ? `✅ ${name} restarted (${s.toolCount} tools).`
+                : `❌ ${name} did not come back: ${s.lastError || s.state}. Retrying in the background.`
+            );
+          } catch (e) {
+            return sendMessageSafe(chatId, `❌ ${e.message}`);
+          }
+        }
+        if (sub === "reload") {
+          const r = await reloadMcpConfig();
+          if (r.error) return sendMessageSafe(chatId, `❌ mcp.json not applied: ${r.error}`);
+          const changed = Object.entries(r).filter(([, names]) => names.length);
+          return sendMessageSafe(
+            chatId,
+            changed.length ? `✅ Reloaded: ${changed.map(([what, names]) => `${what} ${names.join(", ")}`).join("; ")}` : "✅ mcp.json unchanged."
+          );
+        }
+        if (sub) return sendMessageSafe(chatId, "Usage: /mcp | /mcp restart <name> | /mcp reload");
+
+        await startMcpServers();
+        const servers = getMcpStatus();
+        if (!servers.length) return sendMessageSafe(chatId, "No MCP servers configured (mcp.json).");
+        const icons = { connected: "✅", connecting: "⏳", backoff: "🔁", stopped: "⏹", "per-job": "📁" };
+        const lines = ["MCP servers:"];
+        for (const s of servers) {
+          lines.push(
+            `${icons[s.state] || "❔"} ${s.name} — ${s.state}, ${s.toolCount} tools`,
+            ...[
+              s.scope === "job" ? `started per job in its repo; ${s.activeJobs} running now` : null,
+              `${s.transport}: ${s.target.slice(0, 120)}`,
+              s.state === "connected" && s.connectedAt ? `up since ${s.connectedAt.replace("T", " ").slice(0, 19)}` : null,
+              s.lastError ? `last error: ${s.lastError.slice(0, 200)}` : null,
+              s.nextRetryAt
+                ? `retry #${s.attempts} in ${Math.max(0, Math.round((s.nextRetryAt - Date.now()) / 1000))}s`
+                : null,
+            ]
+              .filter(Boolean)
+              .map((l) => `   ${l}`)
+          );
+          // Tool schemas Gemini could only approximate (unions, recursive refs, maps…)
+          const warnings = Object.entries(s.schemaWarnings).flatMap(([tool, ws]) => ws.map((w) => `${tool} ${w}`));
+          if (warnings.length) {
+            lines.push(
+              `   ⚠️ schema approximations (${warnings.length}):`,
+              ...warnings.slice(0, 5).map((w) => `     ${w.slice(0, 160)}`),
+              ...(warnings.length > 5 ? [`     …and ${warnings.length - 5} more`] : [])
+            );
+          }
+        }
+        return sendMessageSafe(chatId, lines.join("\n"));
+      }
+
+      if (text === "/tools" || text.startsWith("/tools ")) {
+        const [sub, pattern] = text.replace("/tools", "").trim().split(/\s+/);
+        const usage = "Usage: /tools | /tools <allow|deny|confirm> <glob> | /tools reset <glob|all>";
+
+        if (TOOL_ACTIONS.includes(sub)) {
+          if (!pattern || !/^[\w*?.-]+$/.test(pattern)) return sendMessageSafe(chatId, usage);
+          setChatToolRule(chatId, pattern, sub);
+          return sendMessageSafe(chatId, `✅ ${pattern} → ${sub} for this chat's Gemini/OpenAI jobs.`);
+        }
+        if (sub === "reset") {
+          if (!pattern) return sendMessageSafe(chatId, usage);
+          if (pattern === "all") {
+            clearChatToolRules(chatId);
+            return sendMessageSafe(chatId, "✅ Chat tool rules cleared.");
+          }
+          if (!getChatToolRules(chatId).some((r) => r.pattern === pattern)) {
+            return sendMessageSafe(chatId, `No chat rule for ${pattern}.`);
+          }
+          setChatToolRule(chatId, pattern, null);
+          return sendMessageSafe(chatId, `✅ Removed rule ${pattern}.`);
+        }
+        if (sub) return sendMessageSafe(chatId, usage);
+
+        const fmtRules = (rules) => (rules.length ? rules.map((r) => `   ${r.pattern} → ${r.action}`) : ["   (none)"]);
+        const icons = { allow: "✅", deny: "⛔", confirm: "🔐" };
+        const tools = [
+          ...(await getAllMcpTools().catch(() => [])),
+          ...getJobScopedToolNames().map((name) => ({ name })),
+        ];
+        const lines = [
+          "Tool policy (chat rules first, then global, then default):",
+          "Chat rules:",
+          ...fmtRules(getChatToolRules(chatId)),
+          "Global rules (TOOL_POLICY_RULES):",
+          ...fmtRules(getGlobalToolRules()),
+          "",
+          tools.length ? `MCP tools (${tools.length}):` : "No MCP tools available right now (see /mcp).",
+          ...tools.map((t) => {
+            const r = resolveToolAction(chatId, t.name);
+            return `${icons[r.action]} ${t.name}${r.rule ? ` (${r.rule.pattern})` : ""}`;
+          }),
+          "",
+          usage,
+        ];
+        return sendMessageSafe(chatId, lines.join("\n"));
+      }
+
+      if (text === "/prompts") {
+        const prompts = await listMcpPrompts();
+        if (!prompts.length) return sendMessageSafe(chatId, "No MCP server offers prompts (see /mcp).");
+        const lines = ["MCP prompts (run one with /prompt <server>/<name> key=value…):"];
+        for (const p of prompts) {
+          const args = p.arguments.map((a) => (a.required ? `${a.name}=…` : `[${a.name}=…]`)).join(" ");
+          lines.push(`- ${p.server}/${p.name}${args ? ` ${args}` : ""}${p.description ? ` — ${p.description.slice(0, 120)}` : ""}`);
+        }
+        return sendMessageSafe(chatId, lines.join("\n"));
+      }
+
+      if (text.startsWith("/prompt ")) {
+        const m = text.match(/^\/prompt\s+([^\s/]+)\/(\S+)\s*([\s\S]*)$/);
+        if (!m) return sendMessageSafe(chatId, "Usage: /prompt <server>/<name> key=value …  (see /prompts)");
+        const [, server, name, rawArgs] = m;
+        const args = parsePromptArgs(rawArgs);
+
+        const def = (await listMcpPrompts()).find((p) => p.server === server && p.name === name);
+        if (def) {
+          const missing = def.arguments.filter((a) => a.required && !(a.name in args)).map((a) => a.name);
+          if (missing.length) return sendMessageSafe(chatId, `❌ Missing argument(s): ${missing.join(", ")}`);
+        }
+
+        let rendered;
+        try {
+          rendered = await renderMcpPrompt(server, name, args);
+        } catch (e) {
+          return sendMessageSafe(chatId, `❌ Prompt ${server}/${name} failed: ${e.message}`);
+        }
+        if (!rendered.text.trim()) return sendMessageSafe(chatId, `❌ Prompt ${server}/${name} rendered empty.`);
+
+        const { id, provider, model } = await queueJob(chatId, rendered.text);
+        return sendMessageSafe(
+          chatId,
+          `${queuedReply(id, provider, model)}\nFrom prompt ${server}/${name}:\n` +
+            `${rendered.text.slice(0, 500)}${rendered.text.length > 500 ? "…" : ""}`
+        );
+      }
+
+      if (text === "/resource" || text.startsWith("/resource ")) {
+        const [uri, server] = text.replace("/resource", "").trim().split(/\s+/).filter(Boolean);
+        if (!uri) {
+          const resources = await listMcpResources();
+          if (!resources.length) return sendMessageSafe(chatId, "No MCP server lists resources (see /mcp).\nUsage: /resource <uri> [server]");
+          return sendMessageSafe(
+            chatId,
+            ["MCP resources (/resource <uri> [server]):", ...resources.slice(0, 50).map((r) => `- ${r.uri} (${r.server}${r.name ? `: ${r.name}` : ""})`)]
+              .concat(resources.length > 50 ? [`… ${resources.length - 50} more`] : [])
+              .join("\n")
+          );
+        }
+
+        let result;
+        try {
+          result = await readMcpResource(uri, server || null);
+        } catch (e) {
+          return sendMessageSafe(chatId, `❌ ${e.message}`);
+        }
+        if (!result.contents.length) return sendMessageSafe(chatId, `${uri} is empty.`);
+
+        for (const [i, c] of result.contents.slice(0, 5).entries()) {
+          const p = path.join(JOB_LOGS_DIR, `resource-${Date.now()}-${resourceFileName(c, i)}`);
+          fs.writeFileSync(p, c.text != null ? c.text : Buffer.from(c.blob || "", "base64"));
+          await sendDocumentSafe(chatId, p, `${c.uri || uri} (${result.server}${c.mimeType ? `, ${c.mimeType}` : ""})`);
+        }
+        return;
+      }
+
+      if (text.startsWith("/setfallback")) {
+        const raw = text.replace("/setfallback", "").trim().toLowerCase();
+        const known = listProviderNames();
+        if (!raw) {
+          return sendMessageSafe(chatId, `Usage: /setfallback <p1,p2,...|off>\nKnown: ${known.join(", ")}`);
+        }
+        if (raw === "off" || raw === "none") {
+          setChatFallback(chatId, []);
+          return sendMessageSafe(chatId, "✅ Provider fallback disabled.");
+        }
+
+        const order = Array.from(new Set(raw.split(/[\s,>]+/).filter(Boolean)));
+        const unknown = order.filter((p) => !known.includes(p));
+        if (unknown.length) return sendMessageSafe(chatId, `❌ Unknown provider(s): ${unknown.join(", ")}`);
+
+        setChatFallback(chatId, order);
+        return sendMessageSafe(
+          chatId,
+          `✅ Fallback order: ${order.join(" → ")}\nQueued jobs whose provider is unhealthy move to the first healthy one.`
+        );
+      }
+
       if (text.startsWith("/setprovider")) {
         const token = text.replace("/setprovider", "").trim().toLowerCase();
-        if (!token || !["codex", "gemini"].includes(token)) {
-          return sendMessageSafe(chatId, "Usage: /setprovider <codex|gemini>");
+        if (!token || !listProviderNames().includes(token)) {
+          return sendMessageSafe(chatId, `Usage: /setprovider <${listProviderNames().join("|")}>`);
         }
         setChatProvider(chatId, token);
         return sendMessageSafe(chatId, `✅ Default provider set to: ${token}`);
       }
 
+      if (text.startsWith("/setmodel")) {
+        const [providerArg, modelArg] = text.replace("/setmodel", "").trim().split(/\s+/).filter(Boolean);
+        const known = listProviderNames();
+        if (!providerArg) {
+          const chosen = getChatModels(chatId);
+          return sendMessageSafe(
+            chatId,
+            [
+              "Models for this chat:",
+              ...known.map((p) => `- ${p}: ${chosen[p] || `${globalModelFor(p) || "(CLI default)"} (default)`}`),
+              "",
+              "Usage: /setmodel <provider> <model|default>",
+              "One job only: /gemini@gemini-2.5-flash <prompt>",
+            ].join("\n")
+          );
+        }
+
+        const provider = providerArg.toLowerCase();
+        if (!known.includes(provider)) return sendMessageSafe(chatId, `❌ Unknown provider: ${providerArg}`);
+        if (!modelArg) return sendMessageSafe(chatId, "Usage: /setmodel <provider> <model|default>");
+        if (modelArg === "default" || modelArg === "off") {
+          setChatModel(chatId, provider, null);
+          return sendMessageSafe(chatId, `✅ ${provider} back to the default model (${globalModelFor(provider) || "CLI default"}).`);
+        }
+        if (!MODEL_NAME_RE.test(modelArg)) return sendMessageSafe(chatId, `❌ Bad model name: ${modelArg}`);
+        setChatModel(chatId, provider, modelArg);
+        return sendMessageSafe(chatId, `✅ ${provider} jobs in this chat now use ${modelArg}.`);
+      }
+
       if (text === "/start" || text === "/help") {
         const wd = getChatWorkdir(chatId);
         const provider = getChatProvider(chatId);
@@ -101,30 +591,56 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
             "/setrepo <name|path>    - set current repo for this chat",
             "",
             "Providers:",
-            "/setprovider <codex|gemini> - set default provider for this chat",
+            `/setprovider <${listProviderNames().join("|")}> - set default provider for this chat`,
+            "/providers                  - health of each provider (binary/API key, version, last failure)",
+            "/setfallback <p1,p2|off>    - reroute jobs to these providers when theirs is down",
+            "/mcp [restart <name>|reload] - MCP servers: state, tool counts; restart or re-read mcp.json (admin)",
+            "/tools [allow|deny|confirm <glob>] - per-chat MCP tool policy (confirm = Approve/Deny per call)",
+            "/prompts                    - list MCP server prompts",
+            "/prompt <server>/<name> k=v … - render an MCP prompt and queue it as a job",
+            "/resource [<uri> [server]]  - list MCP resources, or fetch one as a file",
+            "/setmodel [<provider> <model|default>] - per-chat model (no args: show current)",
             "/ask <prompt>               - run with default provider",
             "/codex <prompt>             - force local Codex CLI",
-            "/gemini <prompt>            - force Gemini API",
+            "/gemini <prompt>            - force Gemini API (continues this chat's conversation)",
+            "/openai <prompt>            - force the OpenAI-compatible endpoint (local models)",
+            "/gemini@<model> <prompt>    - any provider command: use <model> for this job only",
+            ...Object.values(loadCliProviders()).map((p) => `/${p.command} <prompt> - force ${p.description} (${p.name})`),
+            "/continue <id> <prompt>     - follow up on a Gemini or Codex job (or reply to its result)",
+            "/codex-continue <id> <prompt> - resume a Codex job's session",
+            "/newchat                    - start a fresh Gemini conversation",
             "",
             "Commands:",
             "/status                 - git status -sb (current repo)",
             "/diff                   - git diff (current repo)",
             "/pull                   - git pull (current repo)",
             "/repomix [style] [opts] - pack repo + send file (style: xml|markdown|json|plain; opts: diffs logs compress parsable linenumbers)",
-            "/jobs                   - list recent jobs",
+            "/jobs [filters]         - search jobs: status, provider, repo:<name>, since:3d, until:, \"text\"",
             "/job <id>               - show job status",
+            "/trace <id>             - tool calls a Gemini/OpenAI job made (summary + JSONL file)",
             "/last                   - show last job",
-            "/cancel <id>            - cancel running job",
+            "/cancel <id>            - cancel running or queued job",
+            "/retry <id>             - re-run a finished job (same prompt, repo, provider)",
             "/mem                    - bot/system memory + optional auto-compress",
+            "/usage [day|week|month] - token usage + estimated cost by provider, repo, chat",
+            "/storage                - log dir usage + retention policy",
+            "/purge [Nd]             - run log retention now (admin); Nd also deletes logs older than N days",
             "/compress               - run codex compress (or fallback summary job)",
             "",
             `Current repo: ${wd}`,
             `Default WORKDIR: ${WORKDIR}`,
             `REPOS_BASE_DIR: ${REPOS_BASE_DIR}`,
             `Default provider: ${provider}`,
-            `Codex model: ${CODEX_MODEL}`,
-            `Gemini model: ${GEMINI_MODEL}`,
-            `Unsafe sandbox bypass: ${USE_UNSAFE_CODEX ? "ON" : "OFF"}`,
+            `Codex model: ${getChatModel(chatId, "codex") || CODEX_MODEL}`,
+            `Gemini model: ${getChatModel(chatId, "gemini") || GEMINI_MODEL}`,
+            `OpenAI-compatible: ${getChatModel(chatId, "openai") || OPENAI_COMPAT_MODEL} @ ${OPENAI_COMPAT_BASE_URL}`,
+            `Worker slots: ${WORKER_CONCURRENCY}`,
+            !CODEX_APPROVAL_RELAY
+              ? `Unsafe sandbox bypass: ${USE_UNSAFE_CODEX ? "ON" : "OFF"}`
+              : (await loadPty())
+                ? "Codex approvals: relayed here (Approve/Deny buttons)"
+                : "Codex approvals: relay unavailable (node-pty missing); sandboxed, no approvals",
+            `Auto-retry: ${AUTO_RETRY_ENABLED ? `ON (max ${AUTO_RETRY_MAX_ATTEMPTS} attempts)` : "OFF"}`,
           ].join("\n")
         );
       }
@@ -189,6 +705,76 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         await sendMessageSafe(chatId, "⚠️ Bot memory high. Running /compress…");
       }
 
+      if (text === "/usage" || text.startsWith("/usage ")) {
+        const period = text.replace("/usage", "").trim().toLowerCase() || "day";
+        if (!["day", "week", "month"].includes(period)) return sendMessageSafe(chatId, "Usage: /usage [day|week|month]");
+
+        // Admins see every chat; everyone else only their own
+        const jobs = listJobs().filter((j) => isAdmin(chatId) || j.chatId === chatId);
+        const r = summarizeUsage(jobs, period);
+        if (!r.totals.jobs) return sendMessageSafe(chatId, `No token usage recorded in the last ${period}.`);
+
+        const fmt = (b) =>
+          `${b.totalTokens.toLocaleString()} tok, ${formatCost(b.costUsd)} (${b.jobs} job${b.jobs === 1 ? "" : "s"}` +
+          (b.unpriced ? `, ${b.unpriced} unpriced` : "") +
+          ")";
+        const section = (title, groups) => [
+          "",
+          `${title}:`,
+          ...Object.entries(groups)
+            .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+            .map(([name, b]) => `- ${name}: ${fmt(b)}`),
+        ];
+
+        const report = [
+          `📊 Usage, last ${r.period} (since ${r.since.replace("T", " ").slice(0, 16)} UTC)`,
+          `Total: ${fmt(r.totals)}`,
+          `Prompt: ${r.totals.promptTokens.toLocaleString()} · Completion: ${r.totals.completionTokens.toLocaleString()}`,
+          ...section("By provider", r.byProvider),
+          ...section("By repo", r.byRepo),
+          ...section("By chat", r.byChat),
+        ];
+        return sendMessageSafe(chatId, report.join("\n"));
+      }
+
+      if (text === "/storage") {
+        const r = getStorageReport();
+        const cats = Object.entries(r.byCategory)
+          .sort((a, b) => b[1].bytes - a[1].bytes)
+          .map(([name, c]) => `- ${name}: ${c.files} files, ${formatBytes(c.bytes)}`);
+        const report = [
+          `💾 Storage: ${r.dir}`,
+          `Total: ${r.files} files, ${formatBytes(r.totalBytes)} (${r.gzFiles} gzipped)`,
+          ...cats,
+          r.oldest ? `Oldest: ${r.oldest.name} (${new Date(r.oldest.mtimeMs).toISOString().slice(0, 10)})` : null,
+          r.disk ? `Disk free: ${formatBytes(r.disk.free)} / ${formatBytes(r.disk.total)}` : null,
+          "",
+          `Retention: gzip after ${LOG_COMPRESS_AFTER_DAYS}d, delete after ${LOG_MAX_AGE_DAYS}d, ` +
+            `cap ${LOG_MAX_FILES} files / ${LOG_MAX_TOTAL_MB} MB`,
+        ].filter((l) => l !== null);
+        return sendMessageSafe(chatId, report.join("\n"));
+      }
+
+      if (text === "/purge" || text.startsWith("/purge ")) {
+        if (!isAdmin(chatId)) return sendMessageSafe(chatId, "⛔ /purge is admin-only.");
+
+        const arg = text.replace("/purge", "").trim();
+        const opts = {};
+        if (arg) {
+          const m = arg.match(/^(\d+)d?$/i);
+          if (!m) return sendMessageSafe(chatId, "Usage: /purge [Nd]  (e.g. /purge 7d)");
+          opts.maxAgeDays = Number(m[1]);
+        }
+
+        const r = await runLogRetention(opts);
+        if (r.skipped) return sendMessageSafe(chatId, "Retention is already running; try again shortly.");
+        return sendMessageSafe(
+          chatId,
+          `🧹 Purge done.\nCompressed: ${r.compressed}\nDeleted: ${r.deleted}\nFreed: ${formatBytes(r.freedBytes)}` +
+            (r.errors ? `\nErrors: ${r.errors} (see bot log)` : "")
+        );
+      }
+
       if (text === "/compress") {
         const wd = getChatWorkdir(chatId);
         let help = "";
@@ -212,27 +798,12 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         return sendMessageSafe(chatId, `🗜️ Compress fallback started as job ${id}. Use /job ${id}`);
       }
 
-      if (text === "/jobs") {
-        const db = loadJobs();
-        const recent = db.jobs
-          .filter((j) => j.chatId === chatId)
-          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
-          .slice(0, 10);
-
-        if (!recent.length) return sendMessageSafe(chatId, "No jobs yet.");
-
-        const lines = recent.map((j) => {
-          const s = j.status.padEnd(9);
-          const repoSuffix = j.workdir ? `  (${path.basename(j.workdir)})` : "";
-          const provider = j.provider ? `  [${j.provider}]` : "";
-          return `${j.id}  ${s}  ${j.createdAt.replace("T", " ").slice(0, 19)}${repoSuffix}${provider}`;
-        });
-        return sendMessageSafe(chatId, `Recent jobs:\n${lines.join("\n")}`);
+      if (text === "/jobs" || text.startsWith("/jobs ")) {
+        return runJobsCommand(chatId, text.replace("/jobs", ""));
       }
 
       if (text === "/last") {
-        const db = loadJobs();
-        const recent = db.jobs
+        const recent = listJobs()
           .filter((j) => j.chatId === chatId)
           .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
         if (!recent) return sendMessageSafe(chatId, "No jobs yet.");
@@ -243,31 +814,21 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         const id = text.replace("/job", "").trim();
         if (!id) return sendMessageSafe(chatId, "Usage: /job <id>");
 
-        const db = loadJobs();
-        const j = getJob(db, id);
-        if (!j || j.chatId !== chatId) return sendMessageSafe(chatId, "Job not found.");
+        return showJob(chatId, id);
+      }
 
-        const lines = [
-          `Job ${j.id}`,
-          `Status: ${j.status}`,
-          `Provider: ${j.provider || "codex"}`,
-          `Repo: ${j.workdir || WORKDIR}`,
-          `Created: ${j.createdAt}`,
-          j.startedAt ? `Started: ${j.startedAt}` : null,
-          j.finishedAt ? `Finished: ${j.finishedAt}` : null,
-          j.pid ? `PID: ${j.pid}` : null,
-          j.exit ? `Exit: ${JSON.stringify(j.exit)}` : null,
-          "",
-          `Prompt: ${j.prompt.slice(0, 600)}${j.prompt.length > 600 ? "…" : ""}`,
-        ].filter(Boolean);
+      if (text.startsWith("/trace")) {
+        const id = text.replace("/trace", "").trim();
+        if (!id) return sendMessageSafe(chatId, "Usage: /trace <job id>");
+        const j = getJob(id);
+        if (!j || j.chatId !== chatId) return sendMessageSafe(chatId, "Job not found.");
 
-        const logPath = path.join(JOB_LOGS_DIR, `job-${j.id}.log.txt`);
-        if ((j.status === "failed" || j.status === "succeeded" || j.status === "canceled") && fs.existsSync(logPath)) {
-          await sendMessageSafe(chatId, lines.join("\n"));
-          return sendDocumentSafe(chatId, logPath, `Job ${j.id} log`);
+        const trace = readTrace(j.id);
+        if (!trace) {
+          return sendMessageSafe(chatId, `No tool trace for job ${j.id} (no tool calls, a CLI provider, or purged by retention).`);
         }
-
-        return sendMessageSafe(chatId, lines.join("\n"));
+        await sendMessageSafe(chatId, summarizeTrace(j.id, trace.entries));
+        return sendDocumentSafe(chatId, trace.filePath, `Job ${j.id} tool trace (JSONL, redacted)`);
       }
 
       if (text.startsWith("/cancel ")) {
@@ -286,28 +847,91 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         return sendMessageSafe(chatId, `🛑 Canceled job ${id}.`);
       }
 
+      if (text.startsWith("/codex-continue")) {
+        const m = text.match(/^\/codex-continue\s+(\S+)\s+([\s\S]+)$/);
+        if (!m) return sendMessageSafe(chatId, "Usage: /codex-continue <job-id> <prompt>");
+        const [, id, prompt] = m;
+
+        const prev = getJob(id);
+        if (!prev || prev.chatId !== chatId) return sendMessageSafe(chatId, "Job not found.");
+        return continueCodexJob(chatId, prev, prompt);
+      }
+
+      if (text.startsWith("/continue ")) {
+        const m = text.match(/^\/continue\s+(\S+)\s+([\s\S]+)$/);
+        if (!m) return sendMessageSafe(chatId, "Usage: /continue <job-id> <prompt>");
+        const [, id, prompt] = m;
+
+        const prev = getJob(id);
+        if (!prev || prev.chatId !== chatId) return sendMessageSafe(chatId, "Job not found.");
+        return continueJob(chatId, prev, prompt);
+      }
+
+      if (text === "/newchat") {
+        clearActiveSession(chatId);
+        return sendMessageSafe(chatId, "🆕 Started a new Gemini conversation. The next Gemini job has no prior context.");
+      }
+
+      if (text.startsWith("/retry ")) {
+        const id = text.replace("/retry", "").trim();
+        if (!id) return sendMessageSafe(chatId, "Usage: /retry <id>");
+
+        const result = await retryJob(chatId, id);
+        if (!result.ok) {
+          if (result.reason === "not_found") return sendMessageSafe(chatId, "Job not found.");
+          if (result.reason === "active") {
+            return sendMessageSafe(chatId, `Job ${id} is still ${result.status}; nothing to retry yet.`);
+          }
+          return sendMessageSafe(chatId, "Retry failed.");
+        }
+
+        return sendMessageSafe(
+          chatId,
+          `🔁 Queued job ${result.id} via ${result.provider} (retry of ${id}). Use /job ${result.id} or /jobs.`
+        );
+      }
+
       if (text.startsWith("/codex ")) {
         const prompt = text.replace("/codex", "").trim();
         if (!prompt) return sendMessageSafe(chatId, "Usage: /codex <task>");
 
-        const { id } = await queueJob(chatId, prompt, "codex");
-        return sendMessageSafe(chatId, `✅ Queued job ${id}. Use /job ${id} or /jobs.`);
+        const { id, model } = await queueJob(chatId, prompt, "codex", { model: modelOverride });
+        return sendMessageSafe(chatId, queuedReply(id, "codex", model));
       }
 
       if (text.startsWith("/gemini ")) {
         const prompt = text.replace("/gemini", "").trim();
         if (!prompt) return sendMessageSafe(chatId, "Usage: /gemini <task>");
 
-        const { id } = await queueJob(chatId, prompt, "gemini");
-        return sendMessageSafe(chatId, `✅ Queued job ${id}. Use /job ${id} or /jobs.`);
+        const { id, model } = await queueJob(chatId, prompt, "gemini", { model: modelOverride });
+        return sendMessageSafe(chatId, queuedReply(id, "gemini", model));
+      }
+
+      if (text.startsWith("/openai ")) {
+        const prompt = text.replace("/openai", "").trim();
+        if (!prompt) return sendMessageSafe(chatId, "Usage: /openai <task>");
+
+        const { id, model } = await queueJob(chatId, prompt, "openai", { model: modelOverride });
+        return sendMessageSafe(chatId, queuedReply(id, "openai", model));
+      }
+
+      // Config-driven CLI providers: /<command> <prompt>
+      const cliMatch = text.match(/^\/([a-z][a-z0-9_]*)(?:\s+([\s\S]*))?$/i);
+      const cliProvider = cliMatch ? findCliProviderByCommand(cliMatch[1].toLowerCase()) : null;
+      if (cliProvider) {
+        const prompt = (cliMatch[2] || "").trim();
+        if (!prompt) return sendMessageSafe(chatId, `Usage: /${cliProvider.command} <task>`);
+
+        const { id, model } = await queueJob(chatId, prompt, cliProvider.name, { model: modelOverride });
+        return sendMessageSafe(chatId, queuedReply(id, cliProvider.name, model));
       }
 
       if (text.startsWith("/ask ")) {
         const prompt = text.replace("/ask", "").trim();
         if (!prompt) return sendMessageSafe(chatId, "Usage: /ask <task>");
 
-        const { id, provider } = await queueJob(chatId, prompt);
-        return sendMessageSafe(chatId, `✅ Queued job ${id} via ${provider}. Use /job ${id} or /jobs.`);
+        const { id, provider, model } = await queueJob(chatId, prompt, null, { model: modelOverride });
+        return sendMessageSafe(chatId, queuedReply(id, provider, model));
       }
 
       if (!text.startsWith("/")) {
@@ -321,5 +945,33 @@ export function createMessageHandler({ sendMessageSafe, sendDocumentSafe, enqueu
         await sendMessageSafe(msg.chat.id, `❌ Bot error:\n${String(e?.message || e).slice(0, TELEGRAM_MAX_CHARS)}`);
       } catch {}
     }
-  };
+  }
+
+  // Inline keyboard buttons; callback_data is "<kind>:<payload>"
+  async function onCallbackQuery(query) {
+    const msg = query.message;
+    if (!msg || !isAllowed(msg)) return answerCallbackSafe(query.id);
+
+    const chatId = msg.chat.id;
+    const data = String(query.data || "");
+    let toast = "";
+
+    try {
+      if (data.startsWith("jobs:")) {
+        toast = await onJobsPage(chatId, msg.message_id, data);
+      } else if (data.startsWith("appr:")) {
+        toast = await onApprovalCallback(chatId, data, query.from?.username || query.from?.first_name || null);
+      } else if (data.startsWith("job:")) {
+        await showJob(chatId, data.slice(4));
+      } else {
+        toast = "Unknown action.";
+      }
+    } catch (e) {
+      toast = `❌ ${String(e?.message || e)}`;
+    }
+
+    return answerCallbackSafe(query.id, toast);
+  }
+
+  return { onMessage, onCallbackQuery };
 }
@@ -0,0 +1,132 @@
+import {
+  HEARTBEAT_SEC,
+  PROGRESS_EDIT_INTERVAL_MS,
+  PROGRESS_MAX_TOOL_CALLS,
+  PROGRESS_TAIL_LINES,
+} from "../config.mjs";
+import { formatDuration, sleep, stripAnsi } from "../utils/common.mjs";
+
+const MAX_LINE_CHARS = 160;
+
+// Skip spinner frames, box-drawing and other lines with nothing to read
+function isMeaningfulLine(line) {
+  if (line.length < 3) return false;
+  return /[A-Za-z0-9]{2,}/.test(line);
+}
+
+/**
+ * One Telegram status message per job, edited in place while the job runs.
+ *
+ * Providers feed it through `output(text)` and `toolCall(name)`; edits are throttled to
+ * PROGRESS_EDIT_INTERVAL_MS and refreshed at least every HEARTBEAT_SEC so elapsed time moves.
+ * If the message cannot be sent or edited, the reporter goes quiet rather than failing the job.
+ */
+export function createProgressReporter({ sendMessageSafe, editMessageSafe, job, header = [] }) {
+  const startedAt = Date.now();
+  const lines = [];
+  const toolCalls = [];
+  let toolCallCount = 0;
+  let partial = "";
+  let messageId = null;
+  let lastEditAt = 0;
+  let dirty = false;
+  let editing = false;
+  let disabled = false;
+  let timer = null;
+
+  function render(statusLine) {
+    const out = [statusLine, ...header.filter(Boolean)];
+
+    if (toolCallCount) {
+      const shown = toolCalls.slice(-PROGRESS_MAX_TOOL_CALLS);
+      const hidden = toolCallCount - shown.length;
+      out.push("", `🛠️ Tool calls (${toolCallCount}):`);
+      if (hidden > 0) out.push(`… ${hidden} earlier`);
+      out.push(...shown.map((name) => `- ${name}`));
+    }
+
+    if (lines.length) {
+      out.push("", "--- Recent output ---", ...lines);
+    }
+
+    return out.join("\n");
+  }
+
+  function runningLine() {
+    return `⏳ Job ${job.id} running — ${formatDuration(Date.now() - startedAt)}`;
+  }
+
+  async function flush(text) {
+    if (disabled || !messageId || editing) return;
+    editing = true;
+    dirty = false;
+    lastEditAt = Date.now();
+    try {
+      await editMessageSafe(job.chatId, messageId, text);
+    } catch (e) {
+      console.error(`[progress] edit failed for job ${job.id}:`, e?.message || e);
+      disabled = true;
+    } finally {
+      editing = false;
+    }
+  }
+
+  async function start() {
+    try {
+      const sent = await sendMessageSafe(job.chatId, render(`🚀 Job ${job.id} started.`));
+      messageId = sent?.message_id || null;
+    } catch (e) {
+      console.error(`[progress] send failed for job ${job.id}:`, e?.message || e);
+    }
+    lastEditAt = Date.now();
+
+    timer = setInterval(() => {
+      const since = Date.now() - lastEditAt;
+      if ((dirty && since >= PROGRESS_EDIT_INTERVAL_MS) || since >= HEARTBEAT_SEC * 1000) {
+        flush(render(runningLine())).catch(() => {});
+      }
+    }, 1000);
+  }
+
+  function output(text) {
+    const chunk = partial + stripAnsi(text).replace(/\r(?!\n)/g, "\n");
+    const split = chunk.split(/\r?\n/);
+    partial = split.pop() || "";
+
+    for (const raw of split) {
+      const line = raw.trim();
+      if (!isMeaningfulLine(line)) continue;
+      lines.push(line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}…` : line);
+    }
+    if (lines.length > PROGRESS_TAIL_LINES) lines.splice(0, lines.length - PROGRESS_TAIL_LINES);
+    dirty = true;
+  }
+
+  function toolCall(name) {
+    toolCallCount += 1;
+    toolCalls.push(name);
+    if (toolCalls.length > PROGRESS_MAX_TOOL_CALLS) toolCalls.shift();
+    dirty = true;
+  }
+
+  // Stop the heartbeat without a final edit; safe to call after finish()
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  async function finish(status) {
+    stop();
+    if (partial.trim()) output("\n");
+
+    const icon = status === "succeeded" ? "✅" : status === "canceled" ? "🛑" : status === "queued" ? "🔁" : "❌";
+    const label = status === "queued" ? "WAITING TO RETRY" : String(status || "done").toUpperCase();
+    const text = render(`${icon} Job ${job.id} ${label} — ${formatDuration(Date.now() - startedAt)}`);
+
+    // Wait out an in-flight edit so the final state is not overwritten
+    while (editing) await sleep(100);
+    await flush(text);
+  }
+
+  return { start, output, toolCall, finish, stop, getMessageId: () => messageId };
+}
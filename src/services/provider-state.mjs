@@ -1,30 +1,47 @@
-import fs from "node:fs";
-import { PROVIDER_DB_PATH } from "../config.mjs";
 import { nowIso } from "../utils/common.mjs";
+import { getRecord, transact } from "./store.mjs";
 
 const DEFAULT_PROVIDER = "codex";
 
-export function loadProviderState() {
-  try {
-    if (!fs.existsSync(PROVIDER_DB_PATH)) return { byChatId: {} };
-    return JSON.parse(fs.readFileSync(PROVIDER_DB_PATH, "utf8")) || { byChatId: {} };
-  } catch {
-    return { byChatId: {} };
-  }
+export function getChatProvider(chatId) {
+  const entry = getRecord("chatProviders", chatId);
+  return entry?.provider || DEFAULT_PROVIDER;
 }
 
-export function saveProviderState(db) {
-  fs.writeFileSync(PROVIDER_DB_PATH, JSON.stringify(db, null, 2));
+export function setChatProvider(chatId, provider) {
+  transact((tx) => {
+    const entry = tx.get("chatProviders", chatId) || {};
+    tx.put("chatProviders", chatId, { ...entry, provider, updatedAt: nowIso() });
+  });
 }
 
-export function getChatProvider(chatId) {
-  const db = loadProviderState();
-  const entry = db.byChatId?.[String(chatId)];
-  return entry?.provider || DEFAULT_PROVIDER;
+// Providers to try, in order, when a job's own provider is unhealthy (empty = no rerouting)
+export function getChatFallback(chatId) {
+  return getRecord("chatProviders", chatId)?.fallback || [];
 }
 
-export function setChatProvider(chatId, provider) {
-  const db = loadProviderState();
-  db.byChatId[String(chatId)] = { provider, updatedAt: nowIso() };
-  saveProviderState(db);
+export function setChatFallback(chatId, fallback) {
+  transact((tx) => {
+    const entry = tx.get("chatProviders", chatId) || { provider: DEFAULT_PROVIDER };
+    tx.put("chatProviders", chatId, { ...entry, fallback, updatedAt: nowIso() });
+  });
+}
+
+// Per-chat model choice per provider, e.g. { gemini: "gemini-2.5-flash" }; unset = provider default
+export function getChatModel(chatId, provider) {
+  return getRecord("chatProviders", chatId)?.models?.[provider] || null;
+}
+
+export function getChatModels(chatId) {
+  return getRecord("chatProviders", chatId)?.models || {};
+}
+
+export function setChatModel(chatId, provider, model) {
+  transact((tx) => {
+    const entry = tx.get("chatProviders", chatId) || { provider: DEFAULT_PROVIDER };
+    const models = { ...(entry.models || {}) };
+    if (model) models[provider] = model;
+    else delete models[provider];
+    tx.put("chatProviders", chatId, { ...entry, models, updatedAt: nowIso() });
+  });
 }
@@ -0,0 +1,109 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  JOB_LOGS_DIR,
+  JOB_RECOVERY_MAX_REQUEUES,
+  JOB_RECOVERY_POLICY,
+} from "../config.mjs";
+import { listJobs, updateJob } from "./job-db.mjs";
+import { isPidAlive, killPid, looksLikeJobProcess, nowIso } from "../utils/common.mjs";
+
+const RECOVERY_TAIL_CHARS = 2500;
+
+function parseRecoveryPolicy(raw) {
+  const policy = {};
+  for (const entry of String(raw || "").split(",")) {
+    const [provider, action] = entry.split(":").map((s) => s.trim().toLowerCase());
+    if (!provider || !["requeue", "interrupt"].includes(action)) continue;
+    policy[provider] = action;
+  }
+  return policy;
+}
+
+function readLogTail(jobId) {
+  const logPath = path.join(JOB_LOGS_DIR, `job-${jobId}.log.txt`);
+  try {
+    const text = fs.readFileSync(logPath, "utf8");
+    return text.slice(-RECOVERY_TAIL_CHARS).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Reconcile jobs left in "running" by a previous bot process.
+ *
+ * Orphaned job processes are killed, then each job is either requeued or marked
+ * "interrupted" per JOB_RECOVERY_POLICY, and the owning chat is told what happened.
+ * Must run before the worker loop starts so no live job is mistaken for a stale one.
+ */
+export async function recoverInterruptedJobs({ sendMessageSafe }) {
+  const policy = parseRecoveryPolicy(JOB_RECOVERY_POLICY);
+  const stale = listJobs().filter((j) => j.status === "running");
+  if (!stale.length) return [];
+
+  console.log(`[recovery] found ${stale.length} job(s) left running by a previous process`);
+  const recovered = [];
+
+  for (const job of stale) {
+    let killed = false;
+    if (job.pid && isPidAlive(job.pid) && looksLikeJobProcess(job.pid)) {
+      killed = await killPid(job.pid);
+    }
+
+    const provider = (job.provider || "codex").toLowerCase();
+    const requeues = job.recovery?.requeues || 0;
+    const action = policy[provider] === "requeue" && requeues < JOB_RECOVERY_MAX_REQUEUES ? "requeue" : "interrupt";
+
+    const j = updateJob(job.id, (rec) => {
+      if (rec.status !== "running") return false;
+
+      rec.recovery = {
+        requeues: action === "requeue" ? requeues + 1 : requeues,
+        lastAction: action,
+        lastPid: rec.pid,
+        orphanKilled: killed,
+        recoveredAt: nowIso(),
+      };
+      rec.pid = null;
+      rec.slot = null;
+      rec.updatedAt = nowIso();
+
+      if (action === "requeue") {
+        rec.status = "queued";
+        rec.startedAt = null;
+      } else {
+        rec.status = "interrupted";
+        rec.finishedAt = nowIso();
+        rec.exit = { code: null, signal: "bot_restart" };
+      }
+    });
+    if (!j) continue;
+
+    const logPath = path.join(JOB_LOGS_DIR, `job-${j.id}.log.txt`);
+    try {
+      fs.writeFileSync(
+        logPath,
+        `\n\n[bot] restart recovery at ${nowIso()}: ${action === "requeue" ? "requeued" : "interrupted"}` +
+          `${killed ? ` (killed orphaned pid ${j.recovery.lastPid})` : ""}\n`,
+        { flag: "a" }
+      );
+    } catch {}
+
+    const tail = readLogTail(j.id);
+    const header =
+      action === "requeue"
+        ? `♻️ Job ${j.id} was interrupted by a bot restart and has been requeued (attempt ${j.recovery.requeues}/${JOB_RECOVERY_MAX_REQUEUES}).`
+        : `⚠️ Job ${j.id} was interrupted by a bot restart.${killed ? " Its orphaned process was killed." : ""}`;
+
+    try {
+      await sendMessageSafe(j.chatId, `${header}\n\n--- Log tail ---\n${tail || "(no output)"}`);
+    } catch (e) {
+      console.error(`[recovery] notify failed for job ${j.id}:`, e?.message || e);
+    }
+
+    recovered.push({ id: j.id, action, killed });
+  }
+
+  return recovered;
+}
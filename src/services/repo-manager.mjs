@@ -1,20 +1,8 @@
 import fs from "node:fs";
 import path from "node:path";
-import { CHAT_REPO_DB_PATH, REPOS_BASE_DIR, WORKDIR } from "../config.mjs";
+import { REPOS_BASE_DIR, WORKDIR } from "../config.mjs";
 import { nowIso } from "../utils/common.mjs";
-
-export function loadChatRepos() {
-  try {
-    if (!fs.existsSync(CHAT_REPO_DB_PATH)) return { byChatId: {} };
-    return JSON.parse(fs.readFileSync(CHAT_REPO_DB_PATH, "utf8")) || { byChatId: {} };
-  } catch {
-    return { byChatId: {} };
-  }
-}
-
-export function saveChatRepos(db) {
-  fs.writeFileSync(CHAT_REPO_DB_PATH, JSON.stringify(db, null, 2));
-}
+import { getRecord, transact } from "./store.mjs";
 
 export function resolveRepoToWorkdir(repoToken) {
   const token = String(repoToken || "").trim();
@@ -43,8 +31,7 @@ export function resolveRepoToWorkdir(repoToken) {
 }
 
 export function getChatWorkdir(chatId) {
-  const db = loadChatRepos();
-  const entry = db.byChatId?.[String(chatId)];
+  const entry = getRecord("chatRepos", chatId);
   return entry?.workdir || WORKDIR;
 }
 
@@ -59,7 +46,5 @@ export function listReposUnderBaseDir() {
 }
 
 export function updateChatRepo(chatId, token, workdir) {
-  const db = loadChatRepos();
-  db.byChatId[String(chatId)] = { repo: token, workdir, updatedAt: nowIso() };
-  saveChatRepos(db);
+  transact((tx) => tx.put("chatRepos", chatId, { repo: token, workdir, updatedAt: nowIso() }));
 }
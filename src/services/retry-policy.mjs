@@ -0,0 +1,89 @@
+import {
+  AUTO_RETRY_BASE_DELAY_MS,
+  AUTO_RETRY_ENABLED,
+  AUTO_RETRY_MAX_ATTEMPTS,
+  AUTO_RETRY_MAX_DELAY_MS,
+} from "../config.mjs";
+import { stripAnsi } from "../utils/common.mjs";
+
+// HTTP status phrasing as providers report it ("status 503", "status: 429", "HTTP 502",
+// Gemini's "[503 Service Unavailable]"), never a bare number that could come from job output
+function httpStatus(codes) {
+  return new RegExp(`(?:\\bstatus(?: code)?:?\\s*|\\bHTTP(?:/[\\d.]+)?\\s+|\\[)(?:${codes.join("|")})\\b`, "i");
+}
+
+// Failures that will not get better by running the same job again
+const PERMANENT_SIGNALS = new Set(["aborted", "spawn_error", "bot_restart"]);
+const PERMANENT_PATTERNS = [/Missing GEMINI_API_KEY/i, /API key not valid/i, httpStatus([400, 401, 403, 404])];
+
+// Rate limits, overloaded upstreams and flaky networks
+const TRANSIENT_PATTERNS = [
+  httpStatus([429]),
+  /too many requests/i,
+  /rate.?limit/i,
+  /resource.?exhausted/i,
+  httpStatus([500, 502, 503, 504]),
+  /service unavailable/i,
+  /overloaded/i,
+  /\bUNAVAILABLE\b/,
+  /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|ENOTFOUND/,
+  /socket hang up/i,
+  /fetch failed/i,
+  /stream (error|disconnected)/i,
+];
+
+// Lines Codex prints about its own API trouble (`[2025-06-01T12:00:00] ERROR: …`,
+// `[…] stream error: …`); everything else in the tail is the job's own output, where a test
+// runner's `error: connect ECONNREFUSED` is a failed job, not a flaky provider
+const CLI_ERROR_LINE = /^\s*\[\d{4}-\d{2}-\d{2}T[\d:.]+Z?\]\s+(?:ERROR\b|stream error\b)/;
+
+/**
+ * Decide whether a failed run is worth retrying.
+ * `errorMessage` is the provider exception (if any); `outputTail` is the end of the job output.
+ */
+export function classifyFailure({ exitInfo, errorMessage = "", outputTail = "" }) {
+  const signal = exitInfo?.signal || null;
+
+  if (exitInfo?.code === 0) return { retryable: false, reason: "succeeded" };
+  if (signal && PERMANENT_SIGNALS.has(signal)) return { retryable: false, reason: signal };
+  if (signal === "SIGKILL") return { retryable: false, reason: "killed (timeout or cancel)" };
+
+  // Provider exceptions are precise; for CLI exits only the agent's own error lines count.
+  const haystack =
+    errorMessage ||
+    String(outputTail || "")
+      .slice(-2000)
+      .split("\n")
+      .map(stripAnsi)
+      .filter((l) => CLI_ERROR_LINE.test(l))
+      .join("\n");
+
+  if (errorMessage && PERMANENT_PATTERNS.some((re) => re.test(errorMessage))) {
+    return { retryable: false, reason: errorMessage.slice(0, 200) };
+  }
+
+  const hit = TRANSIENT_PATTERNS.find((re) => re.test(haystack));
+  if (hit) {
+    const line = haystack.split("\n").find((l) => hit.test(l)) || haystack;
+    return { retryable: true, reason: line.trim().slice(0, 200) };
+  }
+
+  return { retryable: false, reason: errorMessage ? errorMessage.slice(0, 200) : `exit code ${exitInfo?.code}` };
+}
+
+export function retryDelayMs(attempt) {
+  const delay = AUTO_RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1);
+  return Math.min(delay, AUTO_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Returns `{ retry: true, delayMs, reason }` when the job should be re-run automatically,
+ * or `{ retry: false, reason }` otherwise. `attempt` is the number of the run that just failed.
+ */
+export function shouldAutoRetry({ attempt, exitInfo, errorMessage, outputTail }) {
+  const verdict = classifyFailure({ exitInfo, errorMessage, outputTail });
+  if (!AUTO_RETRY_ENABLED) return { retry: false, ...verdict };
+  if (!verdict.retryable) return { retry: false, ...verdict };
+  if (attempt >= AUTO_RETRY_MAX_ATTEMPTS) return { retry: false, ...verdict };
+  return { retry: true, delayMs: retryDelayMs(attempt), ...verdict };
+}
@@ -0,0 +1,183 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import { GEMINI_SESSION_MAX_CHARS, GEMINI_SESSION_TOOL_RESULT_CHARS } from "../config.mjs";
+import { nowIso } from "../utils/common.mjs";
+import { getRecord, transact } from "./store.mjs";
+
+/**
+ * Gemini conversation sessions.
+ *
+ * A session holds the full `contents` history (user prompts, model text, function calls and
+ * responses) of every successful job that ran in it. Each chat has one active session that new
+ * Gemini jobs join; /continue or replying to a result switches to that job's session, and
+ * /newchat drops the active pointer so the next job starts fresh.
+ */
+
+const SUMMARY_PREFIX = "Summary of earlier conversation in this session:";
+
+function genSessionId() {
+  return `s-${Date.now().toString(36)}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+export function getSession(sessionId) {
+  return getRecord("sessions", sessionId) || null;
+}
+
+export function getActiveSessionId(chatId) {
+  return getRecord("chatSessions", chatId)?.sessionId || null;
+}
+
+export function setActiveSession(chatId, sessionId) {
+  transact((tx) => tx.put("chatSessions", chatId, { sessionId, updatedAt: nowIso() }));
+}
+
+export function clearActiveSession(chatId) {
+  transact((tx) => tx.del("chatSessions", chatId));
+}
+
+function createSession(chatId, workdir) {
+  const session = {
+    id: genSessionId(),
+    chatId,
+    workdir,
+    contents: [],
+    jobIds: [],
+    compactedTurns: 0,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  transact((tx) => {
+    tx.put("sessions", session.id, session);
+    tx.put("chatSessions", chatId, { sessionId: session.id, updatedAt: nowIso() });
+  });
+  return session;
+}
+
+/**
+ * Pick the session a new Gemini job should run in: the explicit one (continuation),
+ * else the chat's active session if it targets the same repo, else a new session.
+ */
+export function resolveJobSession(chatId, workdir, explicitSessionId = null) {
+  if (explicitSessionId) {
+    const s = getSession(explicitSessionId);
+    if (s && s.chatId === chatId) {
+      setActiveSession(chatId, s.id);
+      return s.id;
+    }
+  }
+
+  const active = getSession(getActiveSessionId(chatId));
+  if (active && path.resolve(active.workdir) === path.resolve(workdir)) return active.id;
+
+  return createSession(chatId, workdir).id;
+}
+
+// A turn starts at each user message that carries text (function responses don't start turns)
+function splitTurns(contents) {
+  const turns = [];
+  for (const c of contents) {
+    const startsTurn = c.role === "user" && c.parts?.some((p) => typeof p.text === "string");
+    if (startsTurn || !turns.length) turns.push([]);
+    turns[turns.length - 1].push(c);
+  }
+  return turns;
+}
+
+function truncateToolResults(turn) {
+  return turn.map((c) => ({
+    ...c,
+    parts: (c.parts || []).map((p) => {
+      if (!p.functionResponse) return p;
+      const raw = JSON.stringify(p.functionResponse.response ?? null);
+      if (raw.length <= GEMINI_SESSION_TOOL_RESULT_CHARS) return p;
+      return {
+        functionResponse: {
+          name: p.functionResponse.name,
+          response: { result: `${raw.slice(0, GEMINI_SESSION_TOOL_RESULT_CHARS)}… [truncated from session history]` },
+        },
+      };
+    }),
+  }));
+}
+
+function summarizeTurn(turn) {
+  const texts = (role) =>
+    turn
+      .filter((c) => c.role === role)
+      .flatMap((c) => c.parts || [])
+      .map((p) => p.text)
+      .filter(Boolean)
+      .join(" ")
+      .replace(/\s+/g, " ")
+      .trim();
+  const tools = turn
+    .flatMap((c) => c.parts || [])
+    .filter((p) => p.functionCall)
+    .map((p) => p.functionCall.name);
+
+  return [
+    `- User: ${texts("user").slice(0, 400)}`,
+    tools.length ? `  Tools used: ${Array.from(new Set(tools)).join(", ")}` : null,
+    `  Assistant: ${texts("model").slice(0, 600) || "(tool work only)"}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Keep history under GEMINI_SESSION_MAX_CHARS: first shrink tool results in older turns,
+ * then fold the oldest turns into `summary`, replayed as a plain-text exchange at the top.
+ * `contents` must not include a previous summary exchange.
+ */
+export function compactHistory(contents, previousSummary = "") {
+  const size = (c) => JSON.stringify(c).length;
+  let turns = splitTurns(contents);
+  let summary = previousSummary;
+  let folded = 0;
+
+  const build = () => {
+    const head = summary
+      ? [
+          { role: "user", parts: [{ text: `${SUMMARY_PREFIX}\n${summary}` }] },
+          { role: "model", parts: [{ text: "Understood. I'll keep that context in mind." }] },
+        ]
+      : [];
+    return head.concat(turns.flat());
+  };
+
+  if (size(build()) <= GEMINI_SESSION_MAX_CHARS) return { contents: build(), summary, folded };
+
+  turns = turns.map((t, i) => (i < turns.length - 1 ? truncateToolResults(t) : t));
+
+  // Always keep the latest turn verbatim
+  while (turns.length > 1 && size(build()) > GEMINI_SESSION_MAX_CHARS) {
+    summary = [summary, summarizeTurn(turns.shift())].filter(Boolean).join("\n");
+    // The summary is itself bounded; the oldest lines go first
+    summary = summary.slice(-Math.floor(GEMINI_SESSION_MAX_CHARS / 4));
+    folded += 1;
+  }
+
+  return { contents: build(), summary, folded };
+}
+
+/**
+ * Replace a session's history with the one a finished job returned.
+ */
+export function saveSessionHistory(sessionId, jobId, contents) {
+  return transact((tx) => {
+    const session = tx.get("sessions", sessionId);
+    if (!session) return null;
+
+    // Strip the replayed summary exchange; compactHistory rebuilds it from session.summary
+    const body = contents[0]?.parts?.[0]?.text?.startsWith(SUMMARY_PREFIX) ? contents.slice(2) : contents;
+    const { contents: compacted, summary, folded } = compactHistory(body, session.summary || "");
+
+    session.contents = compacted;
+    session.summary = summary;
+    session.compactedTurns = (session.compactedTurns || 0) + folded;
+    session.jobIds = (session.jobIds || []).concat(jobId);
+    session.updatedAt = nowIso();
+    tx.put("sessions", sessionId, session);
+    return session;
+  });
+}
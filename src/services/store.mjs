@@ -0,0 +1,283 @@
+import fs from "node:fs";
+import {
+  CHAT_REPO_DB_PATH,
+  JOBS_DB_PATH,
+  JOBS_DIR,
+  PROVIDER_DB_PATH,
+  STORE_COMPACT_EVERY,
+  STORE_JOURNAL_PATH,
+  STORE_LOCK_PATH,
+  STORE_SNAPSHOT_PATH,
+} from "../config.mjs";
+import { isPidAlive, nowIso } from "../utils/common.mjs";
+
+/**
+ * Single storage layer for all bot state (jobs, per-chat settings, conversation sessions).
+ *
+ * Layout on disk:
+ *  - store.json          snapshot `{ schemaVersion, tables: { <table>: { <key>: value } } }`,
+ *                        always replaced via write-to-temp + fsync + rename
+ *  - store.journal.jsonl one line per committed transaction, fsynced before it is applied
+ *
+ * State lives in memory; reads never touch disk. A transaction's ops are written as a single
+ * journal line, so a crash mid-write leaves at most one truncated trailing line, which replay
+ * cuts off. The journal is folded into a fresh snapshot every STORE_COMPACT_EVERY transactions.
+ */
+
+export const SCHEMA_VERSION = 3;
+export const TABLES = ["jobs", "chatRepos", "chatProviders", "sessions", "chatSessions", "chatToolPolicies"];
+
+// Upgrades keyed by the version they produce; each receives the previous snapshot's tables.
+const MIGRATIONS = {
+  // 1: initial schema (legacy JSON files are imported separately, see importLegacyFiles)
+  // 2: Gemini conversation sessions
+  2: (tables) => {
+    tables.sessions ||= {};
+    tables.chatSessions ||= {};
+  },
+  // 3: per-chat MCP tool policies
+  3: (tables) => {
+    tables.chatToolPolicies ||= {};
+  },
+};
+
+let state = null;
+let journalFd = null;
+let journalTxCount = 0;
+
+function emptyTables() {
+  return Object.fromEntries(TABLES.map((t) => [t, {}]));
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Lenient reader for the one-time legacy import only
+function readJsonOr(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf8")) ?? fallback;
+  } catch (e) {
+    console.error(`[store] could not read ${filePath}:`, e?.message || e);
+    return fallback;
+  }
+}
+
+// Unlike the legacy files, an unreadable snapshot is fatal: starting from empty tables would
+// replay the journal onto nothing and the next compaction would overwrite the real data.
+function readSnapshot() {
+  if (!fs.existsSync(STORE_SNAPSHOT_PATH)) return { schemaVersion: SCHEMA_VERSION, tables: {} };
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(STORE_SNAPSHOT_PATH, "utf8"));
+  } catch (e) {
+    throw new Error(`Store snapshot is unreadable (${e?.message || e}): ${STORE_SNAPSHOT_PATH}`);
+  }
+  if (!snapshot || typeof snapshot !== "object" || typeof snapshot.tables !== "object") {
+    throw new Error(`Store snapshot has no tables: ${STORE_SNAPSHOT_PATH}`);
+  }
+  return snapshot;
+}
+
+function acquireLock() {
+  try {
+    const fd = fs.openSync(STORE_LOCK_PATH, "wx");
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+  } catch (e) {
+    if (e?.code !== "EEXIST") throw e;
+    const holder = Number(fs.readFileSync(STORE_LOCK_PATH, "utf8").trim());
+    if (holder && holder !== process.pid && isPidAlive(holder)) {
+      throw new Error(`Store is locked by another bot process (pid ${holder}): ${STORE_LOCK_PATH}`);
+    }
+    // Stale lock from a crashed process
+    fs.writeFileSync(STORE_LOCK_PATH, String(process.pid));
+  }
+
+  process.once("exit", () => {
+    try {
+      if (fs.readFileSync(STORE_LOCK_PATH, "utf8").trim() === String(process.pid)) fs.unlinkSync(STORE_LOCK_PATH);
+    } catch {}
+  });
+}
+
+// One-time import of the pre-store JSON files; originals are kept as *.migrated backups.
+function importLegacyFiles(tables) {
+  const imported = [];
+
+  const jobsDb = readJsonOr(JOBS_DB_PATH, null);
+  if (jobsDb?.jobs) {
+    for (const job of jobsDb.jobs) if (job?.id) tables.jobs[job.id] = job;
+    imported.push(JOBS_DB_PATH);
+  }
+
+  const repoDb = readJsonOr(CHAT_REPO_DB_PATH, null);
+  if (repoDb?.byChatId) {
+    Object.assign(tables.chatRepos, repoDb.byChatId);
+    imported.push(CHAT_REPO_DB_PATH);
+  }
+
+  const providerDb = readJsonOr(PROVIDER_DB_PATH, null);
+  if (providerDb?.byChatId) {
+    Object.assign(tables.chatProviders, providerDb.byChatId);
+    imported.push(PROVIDER_DB_PATH);
+  }
+
+  return imported;
+}
+
+function applyOps(tables, ops) {
+  for (const op of ops) {
+    const table = tables[op.table];
+    if (!table) continue;
+    if (op.t === "put") table[op.key] = op.value;
+    else if (op.t === "del") delete table[op.key];
+  }
+}
+
+function replayJournal(tables) {
+  if (!fs.existsSync(STORE_JOURNAL_PATH)) return 0;
+  const text = fs.readFileSync(STORE_JOURNAL_PATH, "utf8");
+  // Every committed line ends in "\n"; anything after the last one is a write that never finished
+  const complete = text.slice(0, text.lastIndexOf("\n") + 1);
+  let count = 0;
+  for (const [i, line] of complete.split("\n").entries()) {
+    if (!line.trim()) continue;
+    try {
+      applyOps(tables, JSON.parse(line).ops || []);
+      count += 1;
+    } catch {
+      throw new Error(`Corrupt store journal at line ${i + 1}: ${STORE_JOURNAL_PATH}`);
+    }
+  }
+  if (complete.length < text.length) {
+    // Cut the torn write off, or the next transaction would be appended onto the same line
+    fs.truncateSync(STORE_JOURNAL_PATH, Buffer.byteLength(complete));
+    console.error("[store] dropped truncated last journal entry");
+  }
+  return count;
+}
+
+function writeSnapshot() {
+  writeFileAtomic(
+    STORE_SNAPSHOT_PATH,
+    JSON.stringify({ schemaVersion: state.schemaVersion, savedAt: nowIso(), tables: state.tables })
+  );
+}
+
+function compact() {
+  writeSnapshot();
+  if (journalFd !== null) fs.closeSync(journalFd);
+  fs.writeFileSync(STORE_JOURNAL_PATH, "");
+  journalFd = fs.openSync(STORE_JOURNAL_PATH, "a");
+  journalTxCount = 0;
+}
+
+export function openStore() {
+  if (state) return state;
+
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  acquireLock();
+
+  const fresh = !fs.existsSync(STORE_SNAPSHOT_PATH) && !fs.existsSync(STORE_JOURNAL_PATH);
+  if (!fs.existsSync(STORE_SNAPSHOT_PATH) && fs.existsSync(STORE_JOURNAL_PATH)) {
+    throw new Error(`Store journal exists without a snapshot: ${STORE_SNAPSHOT_PATH}`);
+  }
+  const snapshot = readSnapshot();
+
+  let version = Number(snapshot.schemaVersion || 0);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Store schema v${version} is newer than this bot supports (v${SCHEMA_VERSION})`);
+  }
+
+  const tables = { ...emptyTables(), ...(snapshot.tables || {}) };
+  let imported = [];
+  if (fresh) imported = importLegacyFiles(tables);
+
+  journalTxCount = replayJournal(tables);
+
+  let migrated = false;
+  while (version < SCHEMA_VERSION) {
+    version += 1;
+    MIGRATIONS[version]?.(tables);
+    migrated = true;
+  }
+
+  state = { schemaVersion: SCHEMA_VERSION, tables };
+  journalFd = fs.openSync(STORE_JOURNAL_PATH, "a");
+
+  if (fresh || migrated || journalTxCount >= STORE_COMPACT_EVERY) compact();
+
+  for (const p of imported) {
+    try {
+      fs.renameSync(p, `${p}.migrated`);
+    } catch {}
+  }
+  if (imported.length) console.log(`[store] migrated legacy files: ${imported.join(", ")}`);
+
+  return state;
+}
+
+export function getRecord(table, key) {
+  openStore();
+  return clone(state.tables[table]?.[String(key)]);
+}
+
+export function listRecords(table) {
+  openStore();
+  return Object.values(state.tables[table] || {}).map(clone);
+}
+
+/**
+ * Run `fn(tx)` as one atomic change. `tx.get` sees earlier `tx.put`s in the same
+ * transaction; nothing is visible to other callers until the journal line is on disk.
+ * `fn` must be synchronous so no other write can interleave. Returns `fn`'s result.
+ */
+export function transact(fn) {
+  openStore();
+  const ops = [];
+  const pending = new Map();
+
+  const tx = {
+    get(table, key) {
+      const k = `${table}\u0000${key}`;
+      if (pending.has(k)) return clone(pending.get(k));
+      return clone(state.tables[table]?.[String(key)]);
+    },
+    put(table, key, value) {
+      if (!TABLES.includes(table)) throw new Error(`Unknown store table: ${table}`);
+      pending.set(`${table}\u0000${key}`, value);
+      ops.push({ t: "put", table, key: String(key), value: clone(value) });
+    },
+    del(table, key) {
+      pending.set(`${table}\u0000${key}`, undefined);
+      ops.push({ t: "del", table, key: String(key) });
+    },
+  };
+
+  const result = fn(tx);
+  if (result instanceof Promise) throw new Error("store transactions must be synchronous");
+  if (!ops.length) return result;
+
+  fs.writeSync(journalFd, `${JSON.stringify({ at: nowIso(), ops })}\n`);
+  fs.fsyncSync(journalFd);
+  applyOps(state.tables, ops);
+
+  journalTxCount += 1;
+  if (journalTxCount >= STORE_COMPACT_EVERY) compact();
+
+  return result;
+}
@@ -0,0 +1,121 @@
+import { APPROVAL_TIMEOUT_SEC, TOOL_POLICY_DEFAULT, TOOL_POLICY_RULES } from "../config.mjs";
+import { nowIso } from "../utils/common.mjs";
+import { requestApproval } from "./approvals.mjs";
+import { getRecord, transact } from "./store.mjs";
+
+/**
+ * Which MCP tools a chat's Gemini/OpenAI jobs may call.
+ *
+ * A rule maps a glob over registry names (`github_*`, `filesystem_write_file`; `*` and `?`)
+ * to allow, deny or confirm. The chat's own rules (/tools) are consulted first, then
+ * TOOL_POLICY_RULES, then TOOL_POLICY_DEFAULT. Within one rule set the most specific match
+ * wins: an exact name, else the longest pattern.
+ *
+ * Confirm pauses the tool loop on an Approve/Deny prompt; a denial, timeout or blocked call
+ * comes back to the model as a tool error so it can adapt instead of the job failing.
+ */
+
+export const TOOL_ACTIONS = ["allow", "deny", "confirm"];
+const ARGS_PREVIEW_CHARS = 1200;
+
+export function parseToolRules(raw) {
+  const rules = [];
+  for (const part of String(raw || "").split(",")) {
+    const [pattern, action] = part.split(":").map((s) => s?.trim());
+    if (!pattern || !TOOL_ACTIONS.includes(String(action).toLowerCase())) continue;
+    rules.push({ pattern, action: action.toLowerCase() });
+  }
+  return rules;
+}
+
+const GLOBAL_RULES = parseToolRules(TOOL_POLICY_RULES);
+
+function globToRegExp(glob) {
+  const body = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${body}$`);
+}
+
+function bestMatch(rules, toolName) {
+  let best = null;
+  for (const rule of rules) {
+    if (!globToRegExp(rule.pattern).test(toolName)) continue;
+    const exact = rule.pattern === toolName;
+    if (!best || exact > best.exact || (exact === best.exact && rule.pattern.length >= best.rule.pattern.length)) {
+      best = { rule, exact };
+    }
+  }
+  return best?.rule || null;
+}
+
+export function getChatToolRules(chatId) {
+  return getRecord("chatToolPolicies", chatId)?.rules || [];
+}
+
+export function getGlobalToolRules() {
+  return GLOBAL_RULES;
+}
+
+// action null removes the chat's rule for that exact pattern
+export function setChatToolRule(chatId, pattern, action) {
+  transact((tx) => {
+    const entry = tx.get("chatToolPolicies", chatId) || { rules: [] };
+    const rules = entry.rules.filter((r) => r.pattern !== pattern);
+    if (action) rules.push({ pattern, action });
+    tx.put("chatToolPolicies", chatId, { rules, updatedAt: nowIso() });
+  });
+}
+
+export function clearChatToolRules(chatId) {
+  transact((tx) => tx.del("chatToolPolicies", chatId));
+}
+
+// -> { action, rule, source: "chat" | "global" | "default" }
+export function resolveToolAction(chatId, toolName) {
+  const chatRule = bestMatch(getChatToolRules(chatId), toolName);
+  if (chatRule) return { action: chatRule.action, rule: chatRule, source: "chat" };
+  const globalRule = bestMatch(GLOBAL_RULES, toolName);
+  if (globalRule) return { action: globalRule.action, rule: globalRule, source: "global" };
+  const action = TOOL_ACTIONS.includes(TOOL_POLICY_DEFAULT) ? TOOL_POLICY_DEFAULT : "allow";
+  return { action, rule: null, source: "default" };
+}
+
+/**
+ * Gate one tool call. Resolves to null when it may run, else the error message to hand
+ * back to the model. `log` gets a line for anything other than a plain allow.
+ */
+export async function authorizeToolCall({ sendMessageSafe, editMessageSafe, job, toolName, args, log = () => {} }) {
+  const { action, rule } = resolveToolAction(job.chatId, toolName);
+  const ruleText = rule ? `rule ${rule.pattern}:${rule.action}` : `default policy (${action})`;
+
+  if (action === "allow") return null;
+  if (action === "deny") {
+    log(`[tool] ${toolName} blocked by ${ruleText}\n`);
+    return `Tool ${toolName} is not allowed in this chat (${ruleText}). Do not retry it; find another way or explain what is needed.`;
+  }
+
+  if (!sendMessageSafe) {
+    log(`[tool] ${toolName} needs confirmation but nobody can be asked\n`);
+    return `Tool ${toolName} requires user confirmation, which is unavailable here.`;
+  }
+
+  log(`[tool] ${toolName} waiting for approval (${ruleText})\n`);
+  let argsText = JSON.stringify(args ?? {}, null, 2);
+  if (argsText.length > ARGS_PREVIEW_CHARS) argsText = `${argsText.slice(0, ARGS_PREVIEW_CHARS)}\n…`;
+
+  const decision = await requestApproval({
+    sendMessageSafe,
+    editMessageSafe,
+    chatId: job.chatId,
+    jobId: job.id,
+    title: `tool call ${toolName}`,
+    detail: argsText,
+  });
+  log(`[tool] ${toolName} approval: ${decision}\n`);
+
+  if (decision === "approved") return null;
+  if (decision === "timeout") {
+    return `Tool ${toolName} was not approved within ${Math.round(APPROVAL_TIMEOUT_SEC / 60)} minutes, so it did not run.`;
+  }
+  if (decision === "canceled") return `Tool ${toolName} did not run: the job is ending.`;
+  return `The user denied the call to ${toolName}; it did not run. Do not retry it without a different approach.`;
+}
@@ -0,0 +1,201 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import {
+  JOB_LOGS_DIR,
+  TRACE_ARG_MAX_CHARS,
+  TRACE_REDACT_KEYS,
+  TRACE_REDACT_KEYS_DEFAULT,
+  TRACE_REDACT_PATTERNS,
+  TRACE_RESULT_MAX_CHARS,
+} from "../config.mjs";
+import { formatDuration, nowIso } from "../utils/common.mjs";
+
+/**
+ * Per-job JSONL trace of MCP tool calls: `job-<id>.trace.jsonl` in JOB_LOGS_DIR, one line per call:
+ *   { at, provider, step, tool, args, ok, result?, resultChars, error?, durationMs }
+ * Arguments and results pass through `redact` before they are written; long strings are cut.
+ * Log retention treats the file like the job log (gzip, then delete).
+ */
+
+const REDACTED = "[redacted]";
+const SECRET_ENV_RE = /(TOKEN|SECRET|PASSWORD|API_KEY|APIKEY|PAT)$/i;
+const BUILTIN_VALUE_PATTERNS = [
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g, // GitHub tokens
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bsk-[A-Za-z0-9_-]{16,}\b/g, // OpenAI-style keys
+  /\bAIza[0-9A-Za-z_-]{30,}\b/g, // Google API keys
+  /\bBearer\s+[A-Za-z0-9._~+/=-]{8,}/gi,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+];
+
+// Runs at import time, so a typo in the env must not keep the bot from starting
+function compileRegex(source, flags, setting) {
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    console.error(`[trace] ignoring bad ${setting} pattern ${JSON.stringify(source)}: ${e.message}`);
+    return null;
+  }
+}
+
+const keyRe = compileRegex(TRACE_REDACT_KEYS, "i", "TRACE_REDACT_KEYS") || new RegExp(TRACE_REDACT_KEYS_DEFAULT, "i");
+const valuePatterns = BUILTIN_VALUE_PATTERNS.concat(
+  TRACE_REDACT_PATTERNS.split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => compileRegex(s, "g", "TRACE_REDACT_PATTERNS"))
+    .filter(Boolean)
+);
+
+// Literal values of secret-looking env vars (read when the trace is written, so late-set vars count)
+function secretEnvValues() {
+  return Object.entries(process.env)
+    .filter(([k, v]) => SECRET_ENV_RE.test(k) && v && v.length >= 8)
+    .map(([, v]) => v);
+}
+
+function redactString(s, secrets) {
+  let out = s;
+  for (const secret of secrets) out = out.split(secret).join(REDACTED);
+  for (const re of valuePatterns) out = out.replace(re, REDACTED);
+  return out;
+}
+
+function cut(s, max) {
+  return s.length > max ? `${s.slice(0, max)}… [${s.length - max} more chars]` : s;
+}
+
+/**
+ * Deep copy of `value` with secret-named keys blanked and secret-looking strings masked.
+ */
+export function redact(value, { maxStringChars = Infinity, secrets = secretEnvValues() } = {}) {
+  if (typeof value === "string") return cut(redactString(value, secrets), maxStringChars);
+  if (Array.isArray(value)) return value.map((v) => redact(v, { maxStringChars, secrets }));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = keyRe.test(k) && typeof v === "string" ? REDACTED : redact(v, { maxStringChars, secrets });
+    }
+    return out;
+  }
+  return value;
+}
+
+export function traceFilePath(jobId) {
+  return path.join(JOB_LOGS_DIR, `job-${jobId}.trace.jsonl`);
+}
+
+// The plain file, its gzipped archive, or null
+export function resolveTracePath(jobId) {
+  const plain = traceFilePath(jobId);
+  if (fs.existsSync(plain)) return plain;
+  if (fs.existsSync(`${plain}.gz`)) return `${plain}.gz`;
+  return null;
+}
+
+/**
+ * `record` appends one call; it never throws (a trace must not break the job).
+ */
+export function createToolTracer(jobId, { provider }) {
+  const filePath = traceFilePath(jobId);
+  let count = 0;
+
+  function record({ step, tool, args, result, error, durationMs }) {
+    try {
+      const secrets = secretEnvValues();
+      const resultText = result == null ? null : String(result);
+      const entry = {
+        at: nowIso(),
+        provider,
+        step,
+        tool,
+        args: redact(args ?? {}, { maxStringChars: TRACE_ARG_MAX_CHARS, secrets }),
+        ok: !error,
+        ...(resultText != null
+          ? { result: redact(resultText, { maxStringChars: TRACE_RESULT_MAX_CHARS, secrets }), resultChars: resultText.length }
+          : {}),
+        ...(error ? { error: redact(String(error?.message || error), { secrets }) } : {}),
+        durationMs,
+      };
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+      count += 1;
+    } catch (e) {
+      console.error(`[trace] job ${jobId}:`, e?.message || e);
+    }
+  }
+
+  return { filePath, record, get count() { return count; } };
+}
+
+export function readTrace(jobId) {
+  const filePath = resolveTracePath(jobId);
+  if (!filePath) return null;
+  const raw = fs.readFileSync(filePath);
+  const text = filePath.endsWith(".gz") ? zlib.gunzipSync(raw).toString("utf8") : raw.toString("utf8");
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // torn last line from a crash
+    }
+  }
+  return { filePath, entries };
+}
+
+// Paths a call touched, from the usual argument names of filesystem/GitHub tools
+function pathsOf(args) {
+  const out = [];
+  for (const key of ["path", "source", "destination", "file_path"]) {
+    if (typeof args?.[key] === "string") out.push(args[key]);
+  }
+  if (Array.isArray(args?.paths)) out.push(...args.paths.filter((p) => typeof p === "string"));
+  if (Array.isArray(args?.files)) out.push(...args.files.map((f) => f?.path).filter(Boolean));
+  return out;
+}
+
+function formatMs(ms) {
+  return ms < 1000 ? `${ms}ms` : formatDuration(ms);
+}
+
+export function summarizeTrace(jobId, entries, { recent = 15 } = {}) {
+  if (!entries.length) return `Job ${jobId}: no tool calls recorded.`;
+
+  const byTool = new Map();
+  const touched = new Set();
+  let totalMs = 0;
+  for (const e of entries) {
+    const t = byTool.get(e.tool) || { calls: 0, errors: 0, ms: 0 };
+    t.calls += 1;
+    if (!e.ok) t.errors += 1;
+    t.ms += e.durationMs || 0;
+    byTool.set(e.tool, t);
+    totalMs += e.durationMs || 0;
+    for (const p of pathsOf(e.args)) touched.add(p);
+  }
+  const errors = entries.filter((e) => !e.ok).length;
+
+  const lines = [
+    `Trace for job ${jobId}: ${entries.length} tool call${entries.length === 1 ? "" : "s"}` +
+      `${errors ? `, ${errors} failed` : ""}, ${formatMs(totalMs)} in tools`,
+    "",
+    "By tool:",
+    ...Array.from(byTool.entries())
+      .sort((a, b) => b[1].calls - a[1].calls)
+      .map(([tool, t]) => `- ${tool}: ${t.calls}×${t.errors ? ` (${t.errors} ✗)` : ""}, ${formatMs(t.ms)}`),
+  ];
+  if (touched.size) {
+    const list = Array.from(touched);
+    lines.push("", `Paths (${list.length}):`, ...list.slice(0, 20).map((p) => `- ${p}`));
+    if (list.length > 20) lines.push(`… ${list.length - 20} more`);
+  }
+
+  lines.push("", `Last ${Math.min(recent, entries.length)} calls:`);
+  for (const e of entries.slice(-recent)) {
+    const detail = e.ok ? `${e.resultChars ?? 0} chars` : `✗ ${String(e.error).slice(0, 120)}`;
+    lines.push(`#${e.step} ${e.tool} ${cut(JSON.stringify(e.args), 100)} → ${detail} (${e.durationMs}ms)`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,219 @@
+import fs from "node:fs";
+import path from "node:path";
+import { PRICE_TABLE_PATH } from "../config.mjs";
+
+/**
+ * Token usage and cost estimates.
+ *
+ * Job records carry `usage`:
+ *   { model, promptTokens, completionTokens, toolLoopTokens, totalTokens, requests, costUsd, byModel? }
+ * Fields a provider cannot report are null (Codex only prints a total). `byModel` splits the
+ * token counts when a job switched models partway (Gemini fallback); cost is then summed per model.
+ *
+ * Prices are USD per 1M tokens, keyed by model name (longest prefix wins), from
+ * PRICE_TABLE_PATH if present, merged over the defaults below:
+ *   { "gemini-2.5-pro": { "input": 1.25, "output": 10 }, "my-model": { "blended": 2 } }
+ * `blended` prices a bare total; without it a total is priced at the input rate.
+ */
+
+const DEFAULT_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gpt-5.1-codex-max": { input: 1.25, output: 10 },
+  "gpt-5.1-codex": { input: 1.25, output: 10 },
+  "gpt-5": { input: 1.25, output: 10 },
+};
+
+let cachedPrices = null;
+let cachedMtime = 0;
+
+export function loadPriceTable() {
+  const filePath = path.resolve(process.cwd(), PRICE_TABLE_PATH);
+  try {
+    const st = fs.statSync(filePath);
+    if (cachedPrices && st.mtimeMs === cachedMtime) return cachedPrices;
+    cachedPrices = { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+    cachedMtime = st.mtimeMs;
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[usage] bad price table ${filePath}:`, e?.message || e);
+    cachedPrices = DEFAULT_PRICES;
+    cachedMtime = 0;
+  }
+  return cachedPrices;
+}
+
+function priceFor(model) {
+  const table = loadPriceTable();
+  const name = String(model || "").toLowerCase();
+  const key = Object.keys(table)
+    .filter((k) => name.startsWith(k.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+export function estimateCostUsd(model, usage) {
+  const price = priceFor(model);
+  if (!price || !usage) return null;
+
+  if (usage.promptTokens != null || usage.completionTokens != null) {
+    const input = (usage.promptTokens || 0) * (price.input || 0);
+    const output = (usage.completionTokens || 0) * (price.output || 0);
+    return (input + output) / 1e6;
+  }
+  if (usage.totalTokens != null) {
+    return (usage.totalTokens * (price.blended ?? price.input ?? 0)) / 1e6;
+  }
+  return null;
+}
+
+export function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, toolLoopTokens: 0, totalTokens: 0, requests: 0 };
+}
+
+// Fold one Gemini `usageMetadata` into a running total; tool-loop steps are also counted separately
+export function addGeminiUsage(acc, usageMetadata, { toolStep = false, model = null } = {}) {
+  if (!usageMetadata) return acc;
+  const prompt = usageMetadata.promptTokenCount || 0;
+  const completion = usageMetadata.candidatesTokenCount || 0;
+  const total = usageMetadata.totalTokenCount || prompt + completion;
+  acc.promptTokens += prompt;
+  acc.completionTokens += completion;
+  acc.totalTokens += total;
+  acc.requests += 1;
+  if (toolStep) acc.toolLoopTokens += total;
+  if (model) {
+    acc.byModel ||= {};
+    addGeminiUsage((acc.byModel[model] ||= emptyUsage()), usageMetadata, { toolStep });
+  }
+  return acc;
+}
+
+// Same for an OpenAI-style `usage` ({ prompt_tokens, completion_tokens, total_tokens })
+export function addOpenAIUsage(acc, apiUsage, { toolStep = false } = {}) {
+  if (!apiUsage) return acc;
+  const prompt = apiUsage.prompt_tokens || 0;
+  const completion = apiUsage.completion_tokens || 0;
+  const total = apiUsage.total_tokens || prompt + completion;
+  acc.promptTokens += prompt;
+  acc.completionTokens += completion;
+  acc.totalTokens += total;
+  acc.requests += 1;
+  if (toolStep) acc.toolLoopTokens += total;
+  return acc;
+}
+
+/**
+ * Normalize a provider-reported usage into the job record shape, with cost.
+ */
+export function finalizeUsage(model, usage) {
+  if (!usage || !usage.totalTokens) return null;
+  const out = {
+    model: model || null,
+    promptTokens: usage.promptTokens ?? null,
+    completionTokens: usage.completionTokens ?? null,
+    toolLoopTokens: usage.toolLoopTokens ?? null,
+    totalTokens: usage.totalTokens,
+    requests: usage.requests ?? null,
+  };
+  const models = Object.keys(usage.byModel || {});
+  if (models.length > 1) {
+    out.byModel = usage.byModel;
+    const costs = models.map((m) => estimateCostUsd(m, usage.byModel[m]));
+    out.costUsd = costs.includes(null) ? null : costs.reduce((a, b) => a + b, 0);
+  } else {
+    out.costUsd = estimateCostUsd(models[0] || model, out);
+  }
+  return out;
+}
+
+// Sum two job usages (e.g. across retry attempts); null token fields stay null only if both are,
+// but one unpriced part leaves the cost unknown, as for a single unpriced attempt
+export function mergeUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  const sum = (x, y) => (x == null && y == null ? null : (x || 0) + (y || 0));
+  return {
+    model: b.model || a.model,
+    promptTokens: sum(a.promptTokens, b.promptTokens),
+    completionTokens: sum(a.completionTokens, b.completionTokens),
+    toolLoopTokens: sum(a.toolLoopTokens, b.toolLoopTokens),
+    totalTokens: sum(a.totalTokens, b.totalTokens),
+    requests: sum(a.requests, b.requests),
+    costUsd: a.costUsd == null || b.costUsd == null ? null : a.costUsd + b.costUsd,
+    ...(a.byModel || b.byModel ? { byModel: mergeByModel(a, b) } : {}),
+  };
+}
+
+// A usage without `byModel` counts entirely towards its own `model`
+function mergeByModel(a, b) {
+  const out = {};
+  for (const u of [a, b]) {
+    const parts = u.byModel || (u.model ? { [u.model]: u } : {});
+    for (const [model, p] of Object.entries(parts)) {
+      const acc = (out[model] ||= emptyUsage());
+      acc.promptTokens += p.promptTokens || 0;
+      acc.completionTokens += p.completionTokens || 0;
+      acc.toolLoopTokens += p.toolLoopTokens || 0;
+      acc.totalTokens += p.totalTokens || 0;
+      acc.requests += p.requests || 0;
+    }
+  }
+  return out;
+}
+
+export function formatUsageLine(usage) {
+  if (!usage?.totalTokens) return null;
+  const split =
+    usage.promptTokens != null
+      ? ` (in ${usage.promptTokens.toLocaleString()} / out ${(usage.completionTokens || 0).toLocaleString()}` +
+        (usage.toolLoopTokens ? ` / tool loop ${usage.toolLoopTokens.toLocaleString()}` : "") +
+        ")"
+      : "";
+  return `Tokens used: ${usage.totalTokens.toLocaleString()}${split} · est. ${formatCost(usage.costUsd)}`;
+}
+
+export function formatCost(usd) {
+  if (usd == null) return "n/a";
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+const PERIODS = { day: 1, week: 7, month: 30 };
+
+/**
+ * Totals over the last day/week/month (rolling), grouped by chat, repo and provider.
+ * `jobs` is already scoped to what the caller may see.
+ */
+export function summarizeUsage(jobs, period = "day") {
+  const days = PERIODS[period] || PERIODS.day;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const blank = () => ({ jobs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpriced: 0 });
+  const totals = blank();
+  const byChat = {};
+  const byRepo = {};
+  const byProvider = {};
+
+  const add = (bucket, u) => {
+    bucket.jobs += 1;
+    bucket.promptTokens += u.promptTokens || 0;
+    bucket.completionTokens += u.completionTokens || 0;
+    bucket.totalTokens += u.totalTokens || 0;
+    if (u.costUsd == null) bucket.unpriced += 1;
+    else bucket.costUsd += u.costUsd;
+  };
+
+  for (const j of jobs) {
+    if (!j.usage) continue;
+    if ((j.finishedAt || j.createdAt) < since) continue;
+    const repo = j.workdir ? path.basename(j.workdir) : "(default)";
+    const provider = j.provider || "codex";
+    add(totals, j.usage);
+    add((byChat[j.chatId] ||= blank()), j.usage);
+    add((byRepo[repo] ||= blank()), j.usage);
+    add((byProvider[provider] ||= blank()), j.usage);
+  }
+
+  return { period: PERIODS[period] ? period : "day", since, totals, byChat, byRepo, byProvider };
+}
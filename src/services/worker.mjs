@@ -1,22 +1,63 @@
 import fs from "node:fs";
 import path from "node:path";
 import {
+  CODEX_APPROVAL_RELAY,
   CODEX_BIN,
   CODEX_MODEL,
+  GEMINI_FALLBACK_MODELS,
   GEMINI_MODEL,
   JOB_LOGS_DIR,
+  OPENAI_COMPAT_BASE_URL,
+  OPENAI_COMPAT_MODEL,
   MAX_INLINE_OUTPUT_CHARS,
+  AUTO_RETRY_MAX_ATTEMPTS,
   USE_UNSAFE_CODEX,
   WORKDIR,
+  WORKER_CONCURRENCY,
 } from "../config.mjs";
+import { loadPty } from "../providers/CliProvider.mjs";
 import { createProviderManager } from "../providers/index.mjs";
-import { getJob, loadJobs, saveJobs, upsertJob } from "./job-db.mjs";
-import { genJobId, nowIso, parseTokensUsed, sleep } from "../utils/common.mjs";
+import { getCliProviderConfig } from "./cli-providers.mjs";
+import { getJob, insertJob, listJobs, updateJob } from "./job-db.mjs";
+import { createProgressReporter } from "./progress.mjs";
+import { shouldAutoRetry } from "./retry-policy.mjs";
+import { getChatFallback, getChatModel } from "./provider-state.mjs";
+import { getSession, saveSessionHistory } from "./sessions.mjs";
+import { finalizeUsage, formatUsageLine, mergeUsage } from "./usage.mjs";
+import { genJobId, isPidAlive, killPid, looksLikeJobProcess, nowIso, sleep } from "../utils/common.mjs";
 
 let workerRunning = false;
 
-export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
-  const providerManager = createProviderManager({ sendMessageSafe });
+// slot index -> job id currently holding it (null when free)
+const slots = new Array(WORKER_CONCURRENCY).fill(null);
+// resolved workdirs with a running job; same-repo jobs wait for the lock
+const repoLocks = new Set();
+
+function defaultModelFor(providerName) {
+  if (providerName === "codex") return CODEX_MODEL;
+  if (providerName === "gemini") return GEMINI_MODEL;
+  if (providerName === "openai") return OPENAI_COMPAT_MODEL;
+  return getCliProviderConfig(providerName)?.model || "";
+}
+
+// "gemini-2.5-pro (steps 1-3) → gemini-2.5-flash (steps 4-9)"; null when one model did everything
+function describeModelSteps(steps) {
+  const runs = [];
+  for (const s of steps || []) {
+    const last = runs[runs.length - 1];
+    if (last && last.model === s.model) last.to = s.step;
+    else runs.push({ model: s.model, from: s.step, to: s.step });
+  }
+  if (runs.length < 2) return null;
+  return runs.map((r) => `${r.model} (step${r.from === r.to ? ` ${r.from}` : `s ${r.from}-${r.to}`})`).join(" → ");
+}
+
+function repoKey(job) {
+  return path.resolve(job.workdir || WORKDIR);
+}
+
+export function createWorker({ sendMessageSafe, sendDocumentSafe, editMessageSafe }) {
+  const providerManager = createProviderManager({ sendMessageSafe, editMessageSafe });
 
   async function startWorkerLoop() {
     if (workerRunning) return;
@@ -24,25 +65,45 @@ export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
 
     while (true) {
       try {
-        const db = loadJobs();
+        const slotIdx = slots.indexOf(null);
+        if (slotIdx < 0) {
+          await sleep(750);
+          continue;
+        }
 
-        const next = db.jobs
-          .filter((j) => j.status === "queued")
+        // Oldest queued job whose repo is not locked by a running job
+        const now = nowIso();
+        const candidate = listJobs()
+          .filter((j) => j.status === "queued" && !repoLocks.has(repoKey(j)))
+          .filter((j) => !j.notBefore || j.notBefore <= now)
           .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
 
+        const next =
+          candidate &&
+          updateJob(candidate.id, (j) => {
+            if (j.status !== "queued") return false; // canceled since we listed it
+            j.status = "running";
+            j.startedAt = nowIso();
+            j.updatedAt = nowIso();
+            j.pid = null;
+            j.slot = slotIdx + 1;
+          });
+
         if (!next) {
           await sleep(750);
           continue;
         }
 
-        next.status = "running";
-        next.startedAt = nowIso();
-        next.updatedAt = nowIso();
-        next.pid = null;
-        upsertJob(db, next);
-        saveJobs(db);
+        const lockKey = repoKey(next);
+        slots[slotIdx] = next.id;
+        repoLocks.add(lockKey);
 
-        await runJob(next);
+        runJob(next)
+          .catch((e) => console.error(`[worker] job ${next.id} error:`, e))
+          .finally(() => {
+            slots[slotIdx] = null;
+            repoLocks.delete(lockKey);
+          });
       } catch (e) {
         console.error("[worker] error:", e);
         await sleep(1500);
@@ -50,10 +111,52 @@ export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
     }
   }
 
+  // Telegram messages that belong to a job, so replies to them can continue its session
+  function recordMessageId(jobId, messageId) {
+    if (!messageId) return;
+    updateJob(jobId, (rec) => {
+      rec.messageIds = (rec.messageIds || []).concat(messageId);
+    });
+  }
+
+  /**
+   * If the job's provider is unhealthy and the chat has a fallback order, move the job to the
+   * first healthy provider in it and record the reroute. Otherwise the job runs as queued
+   * (and fails with the provider's own error).
+   */
+  async function routeJob(j) {
+    const fallback = getChatFallback(j.chatId);
+    if (!fallback.length) return j;
+
+    const current = (j.provider || "codex").toLowerCase();
+    const health = await providerManager.checkHealth(current);
+    if (health.ok) return j;
+
+    for (const name of fallback) {
+      if (name === current || !(await providerManager.checkHealth(name)).ok) continue;
+
+      const reroute = { from: current, to: name, reason: health.error || "unhealthy", at: nowIso() };
+      const routed = updateJob(j.id, (rec) => {
+        rec.provider = name;
+        // A model picked for the old provider means nothing to the new one
+        rec.model = getChatModel(rec.chatId, name);
+        rec.modelSource = rec.model ? "chat" : null;
+        rec.reroutes = (rec.reroutes || []).concat(reroute);
+        rec.updatedAt = nowIso();
+      });
+      if (!routed) return j;
+
+      await sendMessageSafe(j.chatId, `↪️ Job ${j.id}: ${current} is unavailable (${reroute.reason}); rerouted to ${name}.`);
+      return routed;
+    }
+
+    return j;
+  }
+
   async function runJob(job) {
-    const db = loadJobs();
-    const j = getJob(db, job.id);
-    if (!j) return;
+    const claimed = getJob(job.id);
+    if (!claimed) return;
+    const j = await routeJob(claimed);
 
     const chatId = j.chatId;
     const workdir = j.workdir || WORKDIR;
@@ -61,6 +164,10 @@ export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
 
     const logPath = path.join(JOB_LOGS_DIR, `job-${j.id}.log.txt`);
     const metaPath = path.join(JOB_LOGS_DIR, `job-${j.id}.meta.json`);
+    const attempt = (j.attempts?.length || 0) + 1;
+
+    // The job's own model (inline override or chat setting) wins over the provider default
+    const modelName = j.model || defaultModelFor(providerName);
 
     const meta = {
       id: j.id,
@@ -69,103 +176,238 @@ export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
       workdir,
       provider: providerName,
       prompt: j.prompt,
+      attempt,
+      retryOf: j.retryOf || null,
+      model: modelName || null,
+      modelSource: j.model ? j.modelSource || "job" : "default",
     };
 
     if (providerName === "codex") {
       meta.codexBin = CODEX_BIN;
-      meta.codexModel = CODEX_MODEL;
-      meta.unsafeBypass = USE_UNSAFE_CODEX;
+      meta.codexModel = modelName;
+      meta.unsafeBypass = USE_UNSAFE_CODEX && !CODEX_APPROVAL_RELAY;
+      // The relay needs node-pty; without it Codex runs sandboxed with `-a never`
+      meta.approvalRelay = CODEX_APPROVAL_RELAY && Boolean(await loadPty());
+      if (j.codexResumeSessionId) meta.codexResumeSessionId = j.codexResumeSessionId;
     }
 
     if (providerName === "gemini") {
-      meta.geminiModel = GEMINI_MODEL;
+      meta.geminiModel = modelName;
+      meta.geminiFallbackModels = GEMINI_FALLBACK_MODELS;
     }
 
-    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+    if (providerName === "openai") {
+      meta.openaiBaseUrl = OPENAI_COMPAT_BASE_URL;
+      meta.openaiModel = modelName;
+    }
 
-    if (providerName === "codex") {
-      await sendMessageSafe(chatId, `🚀 Job ${j.id} started.\nWorking dir: ${workdir}\nModel: ${CODEX_MODEL}`);
-    } else {
-      await sendMessageSafe(
-        chatId,
-        `🚀 Job ${j.id} started.\nProvider: ${providerName}\nWorking dir: ${workdir}\nModel: ${providerName === "gemini" ? GEMINI_MODEL : ""}`.trim()
-      );
+    const cliConfig = getCliProviderConfig(providerName);
+    if (cliConfig) {
+      meta.cliBin = cliConfig.bin;
+      meta.cliArgs = cliConfig.args;
+      meta.cliModel = modelName || null;
     }
 
-    const provider = providerManager.getProvider(providerName);
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
 
-    let result = null;
+    const progress = createProgressReporter({
+      sendMessageSafe,
+      editMessageSafe,
+      job: j,
+      header: [
+        `Slot: ${j.slot}/${WORKER_CONCURRENCY}${attempt > 1 ? ` · attempt ${attempt}` : ""}`,
+        `Provider: ${providerName}${modelName ? ` · ${modelName}` : ""}`,
+        `Working dir: ${workdir}`,
+      ],
+    });
+    await progress.start();
+    // Any throw below (disk, store) must not leave the heartbeat editing the message forever
     try {
-      result = await provider.execute(j, {
-        workdir,
-        logPath,
-        onPid: (pid) => {
-          j.pid = pid;
-          j.updatedAt = nowIso();
-          upsertJob(db, j);
-          saveJobs(db);
-        },
+      recordMessageId(j.id, progress.getMessageId());
+
+      const session = j.sessionId ? getSession(j.sessionId) : null;
+
+      let provider = null;
+      let result = null;
+      let providerError = "";
+      try {
+        provider = providerManager.getProvider(providerName);
+        result = await provider.execute(j, {
+          workdir,
+          logPath,
+          progress,
+          history: session?.contents || [],
+          onPid: (pid) => {
+            updateJob(j.id, (jp) => {
+              jp.pid = pid;
+              jp.updatedAt = nowIso();
+            });
+          },
+        });
+      } catch (err) {
+        const msg = String(err?.message || err);
+        providerError = msg;
+        fs.writeFileSync(logPath, `[provider_error] ${msg}\n`, { flag: "a" });
+        // Providers attach what the failed run already used (tokens, steps, model)
+        result = {
+          combinedTail: msg,
+          exitInfo: { code: 1, signal: "provider_error" },
+          model: err?.model,
+          usage: err?.usage || null,
+          steps: err?.steps,
+        };
+      }
+
+      const exitInfo = result?.exitInfo || { code: 1, signal: "unknown" };
+
+      // Read while the job still counts as running: /purge and retention may remove the log
+      // as soon as it is finished
+      let logText = null;
+      try {
+        logText = fs.readFileSync(logPath, "utf8");
+      } catch (e) {
+        if (e?.code !== "ENOENT") throw e;
+      }
+
+      // Per-step model record (Gemini may fall back mid-job)
+      const modelSwitches = describeModelSteps(result?.steps);
+      if (result?.steps?.length) {
+        meta.modelSteps = result.steps;
+        meta.modelsUsed = Array.from(new Set(result.steps.map((s) => s.model)));
+        fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+      }
+
+      const modelLabel =
+        modelSwitches || result?.model || modelName;
+      const runUsage = finalizeUsage(result?.model || modelLabel, result?.usage);
+
+      let retry = { retry: false };
+      const j2 = updateJob(j.id, (rec) => {
+        rec.finishedAt = nowIso();
+        rec.updatedAt = nowIso();
+        rec.exit = exitInfo;
+        rec.usage = mergeUsage(rec.usage, runUsage);
+        if (result?.codexSessionId) rec.codexSessionId = result.codexSessionId;
+
+        if (rec.status !== "canceled") {
+          rec.status = exitInfo.code === 0 ? "succeeded" : "failed";
+        }
+
+        if (rec.status === "failed") {
+          retry = shouldAutoRetry({ attempt, exitInfo, errorMessage: providerError, outputTail: result?.combinedTail });
+        }
+
+        rec.attempts = (rec.attempts || []).concat({
+          attempt,
+          startedAt: rec.startedAt,
+          finishedAt: rec.finishedAt,
+          exit: exitInfo,
+          totalTokens: runUsage?.totalTokens ?? null,
+          error: providerError || null,
+          retryable: retry.retryable ?? null,
+          reason: retry.reason || null,
+        });
+
+        if (retry.retry) {
+          rec.status = "queued";
+          rec.notBefore = new Date(Date.now() + retry.delayMs).toISOString();
+          rec.finishedAt = null;
+          rec.pid = null;
+        } else {
+          rec.notBefore = null;
+        }
       });
-    } catch (err) {
-      const msg = String(err?.message || err);
-      fs.writeFileSync(logPath, `[provider_error] ${msg}\n`, { flag: "a" });
-      result = { combinedTail: msg, exitInfo: { code: 1, signal: "provider_error" } };
-    }
 
-    const exitInfo = result?.exitInfo || { code: 1, signal: "unknown" };
+      if (!j2) {
+        await progress.finish("failed");
+        return;
+      }
 
-    const db2 = loadJobs();
-    const j2 = getJob(db2, j.id);
-    if (!j2) return;
+      if (retry.retry) {
+        fs.writeFileSync(
+          logPath,
+          `\n[bot] attempt ${attempt} failed (${retry.reason}); retrying after ${j2.notBefore}\n\n`,
+          { flag: "a" }
+        );
+      }
 
-    j2.finishedAt = nowIso();
-    j2.updatedAt = nowIso();
-    j2.exit = exitInfo;
+      await progress.finish(j2.status);
 
-    if (j2.status !== "canceled") {
-      j2.status = exitInfo.code === 0 ? "succeeded" : "failed";
-    }
+      // Only complete exchanges go into the conversation; failed runs may end mid tool call
+      if (session && j2.status === "succeeded" && result?.history) {
+        saveSessionHistory(session.id, j2.id, result.history);
+      }
 
-    upsertJob(db2, j2);
-    saveJobs(db2);
-
-    const logText = fs.readFileSync(logPath, "utf8");
-    const tokens = parseTokensUsed(logText);
-    const modelLabel = result?.model || (providerName === "codex" ? CODEX_MODEL : GEMINI_MODEL);
-
-    const captionLines = [
-      `📄 Job ${j2.id} ${j2.status.toUpperCase()}`,
-      modelLabel ? `Model: ${modelLabel}` : null,
-      tokens ? `Tokens used: ${tokens.toLocaleString()}` : null,
-      exitInfo?.code === 0 ? "✅ Completed." : "❌ Completed with errors.",
-    ].filter(Boolean);
-
-    const tailSummary =
-      `🧾 Job ${j2.id} ${j2.status.toUpperCase()}\n` +
-      (modelLabel ? `Model: ${modelLabel}\n` : "") +
-      (tokens ? `Tokens used: ${tokens.toLocaleString()}\n` : "") +
-      `Exit: code=${exitInfo.code} signal=${exitInfo.signal || "none"}\n\n` +
-      `--- Output tail ---\n${(result?.combinedTail || "").trim() || "(no output)"}`;
-
-    if (tailSummary.length <= MAX_INLINE_OUTPUT_CHARS) {
-      await sendMessageSafe(chatId, tailSummary);
-    } else {
-      await sendMessageSafe(chatId, `🧾 Job ${j2.id} done. Output is large; sending log file…`);
-    }
+      if (retry.retry) {
+        await sendMessageSafe(
+          chatId,
+          `🔁 Job ${j2.id} attempt ${attempt} failed: ${retry.reason}\n` +
+            `Retrying in ${Math.round(retry.delayMs / 1000)}s (attempt ${attempt + 1}/${AUTO_RETRY_MAX_ATTEMPTS}). /cancel ${j2.id} to stop.`
+        );
+        return;
+      }
 
-    if (logText.length > MAX_INLINE_OUTPUT_CHARS || j2.status !== "succeeded") {
-      await sendDocumentSafe(chatId, logPath, captionLines.join("\n"));
-    }
+      const usageLine = formatUsageLine(j2.usage);
+
+      const captionLines = [
+        `📄 Job ${j2.id} ${j2.status.toUpperCase()}`,
+        modelLabel ? `Model: ${modelLabel}` : null,
+        usageLine,
+        exitInfo?.code === 0 ? "✅ Completed." : "❌ Completed with errors.",
+      ].filter(Boolean);
+
+      const tailSummary =
+        `🧾 Job ${j2.id} ${j2.status.toUpperCase()}\n` +
+        (modelLabel ? `Model: ${modelLabel}\n` : "") +
+        (usageLine ? `${usageLine}\n` : "") +
+        `Exit: code=${exitInfo.code} signal=${exitInfo.signal || "none"}\n` +
+        (attempt > 1 ? `Attempts: ${attempt}\n` : "") +
+        (j2.status === "failed" ? `Retry: /retry ${j2.id}\n` : "") +
+        `\n` +
+        `--- Output tail ---\n${(result?.combinedTail || "").trim() || "(no output)"}`;
+
+      if (tailSummary.length <= MAX_INLINE_OUTPUT_CHARS) {
+        const sent = await sendMessageSafe(chatId, tailSummary);
+        recordMessageId(j2.id, sent?.message_id);
+      } else {
+        const sent = await sendMessageSafe(chatId, `🧾 Job ${j2.id} done. Output is large; sending log file…`);
+        recordMessageId(j2.id, sent?.message_id);
+      }
 
-    const prUrlMatch = logText.match(/https:\/\/github\.com\/[^\s]+\/pull\/\d+/g);
-    if (prUrlMatch?.length) {
-      const uniq = Array.from(new Set(prUrlMatch)).slice(-3);
-      await sendMessageSafe(chatId, `🔗 PR link(s):\n${uniq.join("\n")}`);
+      if (logText !== null && (logText.length > MAX_INLINE_OUTPUT_CHARS || j2.status !== "succeeded")) {
+        await sendDocumentSafe(chatId, logPath, captionLines.join("\n"));
+      }
+
+      const prUrlRegex = provider?.prUrlRegex || /https:\/\/github\.com\/[^\s]+\/pull\/\d+/g;
+      const prUrlMatch = logText?.match(prUrlRegex);
+      if (prUrlMatch?.length) {
+        const uniq = Array.from(new Set(prUrlMatch)).slice(-3);
+        // Kept on the record for API clients (MCP server mode)
+        updateJob(j.id, (rec) => {
+          rec.prUrls = uniq;
+        });
+        await sendMessageSafe(chatId, `🔗 PR link(s):\n${uniq.join("\n")}`);
+      }
+    } finally {
+      progress.stop();
     }
   }
 
-  async function enqueueJob(chatId, prompt, { forcedId = null, workdir = null, provider = "codex" } = {}) {
-    const db = loadJobs();
+  async function enqueueJob(
+    chatId,
+    prompt,
+    {
+      forcedId = null,
+      workdir = null,
+      provider = "codex",
+      retryOf = null,
+      sessionId = null,
+      continuedFrom = null,
+      codexResumeSessionId = null,
+      model = null,
+      modelSource = null,
+    } = {}
+  ) {
     const id = forcedId || genJobId();
 
     const job = {
@@ -181,31 +423,107 @@ export function createWorker({ sendMessageSafe, sendDocumentSafe }) {
       prompt,
       workdir: workdir || WORKDIR,
       provider,
+      retryOf,
+      sessionId,
+      continuedFrom,
+      codexResumeSessionId,
+      model,
+      modelSource: model ? modelSource || "job" : null,
     };
 
-    upsertJob(db, job);
-    saveJobs(db);
+    insertJob(job);
+
+    if (continuedFrom) {
+      updateJob(continuedFrom, (prev) => {
+        prev.continuedBy = (prev.continuedBy || []).concat(id);
+        prev.updatedAt = nowIso();
+      });
+    }
 
     startWorkerLoop().catch(() => {});
     return id;
   }
 
   async function cancelJob(chatId, id) {
-    const db = loadJobs();
-    const j = getJob(db, id);
+    const j = getJob(id);
     if (!j || j.chatId !== chatId) return { ok: false, reason: "not_found" };
-    if (j.status !== "running") return { ok: false, reason: "not_running", status: j.status };
+    if (j.status !== "running" && j.status !== "queued") {
+      return { ok: false, reason: "not_running", status: j.status };
+    }
 
-    const provider = providerManager.getProvider(j.provider || "codex");
-    await provider.abort(j);
+    // Mark first so runJob's final update sees "canceled" rather than "failed"
+    const wasRunning = j.status === "running";
+    const canceled = updateJob(id, (rec) => {
+      if (rec.status !== j.status) return false;
+      rec.status = "canceled";
+      rec.notBefore = null;
+      rec.updatedAt = nowIso();
+    });
+    if (!canceled) return { ok: false, reason: "not_running", status: getJob(id)?.status };
 
-    j.status = "canceled";
-    j.updatedAt = nowIso();
-    upsertJob(db, j);
-    saveJobs(db);
+    // Queued jobs (including ones waiting out a retry backoff) have nothing to abort
+    if (!wasRunning) return { ok: true };
+
+    let aborted = false;
+    try {
+      aborted = await providerManager.getProvider(j.provider || "codex").abort(j);
+    } catch (e) {
+      console.error(`[worker] abort failed for job ${id}:`, e?.message || e);
+    }
+    // No live handle (e.g. started by a previous process): fall back to the recorded pid,
+    // unless it has since been reused by something else
+    if (!aborted && canceled.pid && isPidAlive(canceled.pid) && looksLikeJobProcess(canceled.pid)) {
+      await killPid(canceled.pid);
+    }
 
     return { ok: true };
   }
 
-  return { startWorkerLoop, enqueueJob, cancelJob };
+  async function retryJob(chatId, id) {
+    const j = getJob(id);
+    if (!j || j.chatId !== chatId) return { ok: false, reason: "not_found" };
+    if (j.status === "queued" || j.status === "running") return { ok: false, reason: "active", status: j.status };
+
+    const newId = await enqueueJob(chatId, j.prompt, {
+      workdir: j.workdir,
+      provider: j.provider || "codex",
+      retryOf: j.id,
+      sessionId: j.sessionId || null,
+      codexResumeSessionId: j.codexResumeSessionId || null,
+      model: j.model || null,
+      modelSource: j.modelSource || null,
+    });
+
+    updateJob(j.id, (orig) => {
+      orig.retriedBy = (orig.retriedBy || []).concat(newId);
+      orig.updatedAt = nowIso();
+    });
+
+    return { ok: true, id: newId, provider: j.provider || "codex" };
+  }
+
+  // For /providers: fresh health of every provider plus its most recent failure
+  async function providerStatus() {
+    const jobs = listJobs().sort((a, b) => (b.finishedAt || "").localeCompare(a.finishedAt || ""));
+    const out = [];
+    for (const name of providerManager.listProviders()) {
+      const health = await providerManager.checkHealth(name, { force: true });
+      const failed = jobs.find((j) => (j.provider || "codex") === name && j.status === "failed");
+      const lastAttempt = failed?.attempts?.at(-1);
+      out.push({
+        name,
+        ...health,
+        lastError: failed
+          ? {
+              jobId: failed.id,
+              at: failed.finishedAt,
+              message: lastAttempt?.error || `exit code=${failed.exit?.code} signal=${failed.exit?.signal || "none"}`,
+            }
+          : null,
+      });
+    }
+    return out;
+  }
+
+  return { startWorkerLoop, enqueueJob, cancelJob, retryJob, providerStatus };
 }
@@ -2,9 +2,10 @@ import { execFile } from "node:child_process";
 import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
+import path from "node:path";
 import zlib from "node:zlib";
 import { pipeline } from "node:stream/promises";
-import { CODEX_TIMEOUT_MS } from "../config.mjs";
+import { CODEX_BIN, CODEX_TIMEOUT_MS } from "../config.mjs";
 
 export function nowIso() {
   return new Date().toISOString();
@@ -23,6 +24,27 @@ export function formatBytes(bytes) {
   return `${mb.toFixed(1)} MB`;
 }
 
+export function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const sec = totalSec % 60;
+  if (h) return `${h}h${String(m).padStart(2, "0")}m`;
+  if (m) return `${m}m${String(sec).padStart(2, "0")}s`;
+  return `${sec}s`;
+}
+
+export function stripAnsi(s) {
+  // CSI/OSC sequences emitted by `script` and CLI spinners
+  return String(s || "").replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]|\x1b\][^\x07]*(\x07|\x1b\\)|\x1b[()][0-9A-Za-z]/g, "");
+}
+
+// One-line preview of a tool result for the job log
+export function previewResult(raw, max = 300) {
+  const flat = String(raw ?? "").replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max)}… (${flat.length} chars)` : flat || "(empty)";
+}
+
 export function getSystemMemInfo() {
   const total = os.totalmem();
   const free = os.freemem();
@@ -74,3 +96,51 @@ export function parseTokensUsed(output) {
   if (m?.[1]) return Number(m[1].replace(/,/g, ""));
   return null;
 }
+
+export function isPidAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: exists but owned by someone else
+    return e?.code === "EPERM";
+  }
+}
+
+// Guard against pid reuse: only kill a pid that still looks like our job process.
+export function looksLikeJobProcess(pid) {
+  const cmdlinePath = `/proc/${pid}/cmdline`;
+  if (!fs.existsSync(cmdlinePath)) return true; // no procfs: trust the recorded pid
+  try {
+    const cmdline = fs.readFileSync(cmdlinePath, "utf8").replace(/\0/g, " ");
+    return cmdline.includes(path.basename(CODEX_BIN)) || /\bscript\b/.test(cmdline);
+  } catch {
+    return false;
+  }
+}
+
+// Job processes lead their own process group (see CliProvider), so signal the whole group;
+// a pid recorded before that (or not a group leader) gets the signal alone.
+function signalJob(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return;
+  } catch {}
+  try {
+    process.kill(pid, signal);
+  } catch {}
+}
+
+export async function killPid(pid, graceMs = 3000) {
+  if (!isPidAlive(pid)) return false;
+  signalJob(pid, "SIGTERM");
+  const deadline = Date.now() + graceMs;
+  while (Date.now() < deadline) {
+    if (!isPidAlive(pid)) break;
+    await sleep(200);
+  }
+  // The wrapper may be gone while its children (e.g. codex under script) linger
+  signalJob(pid, "SIGKILL");
+  return true;
+}
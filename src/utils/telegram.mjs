@@ -9,14 +9,16 @@ function chunkText(text, size = TELEGRAM_MAX_CHARS) {
 }
 
 export function createTelegramHelpers(bot) {
+  // Resolves with the last sent message (so callers can edit it later)
   async function sendMessageSafe(chatId, text, opts = {}) {
     const chunks = chunkText(text);
+    let sent = null;
     for (const chunk of chunks) {
       await sleep(TELEGRAM_SEND_DELAY_MS);
 
       for (let attempt = 0; attempt < 6; attempt++) {
         try {
-          await bot.sendMessage(chatId, chunk, {
+          sent = await bot.sendMessage(chatId, chunk, {
             disable_web_page_preview: true,
             ...opts,
           });
@@ -40,6 +42,42 @@ export function createTelegramHelpers(bot) {
         }
       }
     }
+    return sent;
+  }
+
+  // Edits in place; text is truncated (not chunked) since a message can only hold one chunk
+  async function editMessageSafe(chatId, messageId, text, opts = {}) {
+    const body = String(text || "").slice(0, TELEGRAM_MAX_CHARS) || "(no output)";
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      try {
+        return await bot.editMessageText(body, {
+          chat_id: chatId,
+          message_id: messageId,
+          disable_web_page_preview: true,
+          ...opts,
+        });
+      } catch (e) {
+        const resp = e?.response?.body;
+        const retryAfter = resp?.parameters?.retry_after;
+
+        if (/message is not modified/i.test(resp?.description || e?.message || "")) return null;
+
+        if (retryAfter) {
+          await sleep((Number(retryAfter) + 1) * 1000);
+          continue;
+        }
+
+        const msg = String(e?.message || e);
+        if (/ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(msg)) {
+          await sleep(1500 + attempt * 750);
+          continue;
+        }
+
+        throw e;
+      }
+    }
+    return null;
   }
 
   async function sendDocumentSafe(chatId, filePath, caption = "") {
@@ -71,5 +109,14 @@ export function createTelegramHelpers(bot) {
     }
   }
 
-  return { sendMessageSafe, sendDocumentSafe };
+  async function answerCallbackSafe(callbackQueryId, text = "") {
+    try {
+      await bot.answerCallbackQuery(callbackQueryId, text ? { text: text.slice(0, 190) } : {});
+    } catch (e) {
+      // Stale queries (>15 min) can't be answered; nothing useful to do
+      console.error("[callback] answer failed:", e?.message || e);
+    }
+  }
+
+  return { sendMessageSafe, sendDocumentSafe, editMessageSafe, answerCallbackSafe };
 }
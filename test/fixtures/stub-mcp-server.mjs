@@ -0,0 +1,30 @@
+// Minimal stdio MCP server for tests: one plain tool and one whose schema Gemini can only approximate
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+const server = new Server({ name: "stub", version: "1.0.0" }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    {
+      name: "echo",
+      description: "Echo the text back",
+      inputSchema: { type: "object", properties: { text: { type: "string" } }, required: ["text"] },
+    },
+    {
+      name: "set_env",
+      description: "Set environment variables",
+      inputSchema: {
+        type: "object",
+        properties: { vars: { type: "object", additionalProperties: { type: "string" } } },
+      },
+    },
+  ],
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async (req) => ({
+  content: [{ type: "text", text: JSON.stringify(req.params.arguments) }],
+}));
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,224 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, test } from "node:test";
+import { cleanGeminiSchema, decodeJsonArgs } from "../src/services/gemini-schema.mjs";
+
+// tools/list output of the servers in mcp.json, captured from the versions in the fixture files
+const FIXTURES = ["github", "filesystem"].map((name) => ({
+  name,
+  ...JSON.parse(fs.readFileSync(new URL(`./fixtures/mcp-tools/${name}.json`, import.meta.url), "utf8")),
+}));
+
+const GEMINI_KEYS = new Set(["type", "format", "description", "nullable", "enum", "properties", "required", "items"]);
+const GEMINI_FORMATS = { string: ["enum", "date-time"], number: ["float", "double"], integer: ["int32", "int64"] };
+
+// What the Gemini API validates; returns a list of "<path>: problem" strings
+function geminiProblems(schema, path = "(root)") {
+  const problems = [];
+  for (const key of Object.keys(schema)) {
+    if (!GEMINI_KEYS.has(key)) problems.push(`${path}: unsupported keyword ${key}`);
+  }
+  if (!["string", "number", "integer", "boolean", "array", "object"].includes(schema.type)) {
+    problems.push(`${path}: bad type ${schema.type}`);
+  }
+  if (schema.format && !GEMINI_FORMATS[schema.type]?.includes(schema.format)) {
+    problems.push(`${path}: format ${schema.format} not allowed for ${schema.type}`);
+  }
+  if (schema.enum && (schema.type !== "string" || schema.enum.some((v) => typeof v !== "string"))) {
+    problems.push(`${path}: enum must be strings on a string`);
+  }
+  if (schema.type === "object") {
+    const keys = Object.keys(schema.properties || {});
+    if (!keys.length) problems.push(`${path}: object without properties`);
+    for (const r of schema.required || []) if (!keys.includes(r)) problems.push(`${path}: required ${r} is not a property`);
+    for (const k of keys) problems.push(...geminiProblems(schema.properties[k], `${path}.${k}`));
+  }
+  if (schema.type === "array") {
+    if (!schema.items) problems.push(`${path}: array without items`);
+    else problems.push(...geminiProblems(schema.items, `${path}[]`));
+  }
+  return problems;
+}
+
+function convert(schema) {
+  const warnings = [];
+  const jsonPaths = [];
+  const out = cleanGeminiSchema(schema, warnings, jsonPaths);
+  return { out, warnings, jsonPaths };
+}
+
+describe("real server schemas", () => {
+  for (const fixture of FIXTURES) {
+    test(`${fixture.name}: every tool converts to a schema Gemini accepts`, () => {
+      assert.ok(fixture.tools.length > 0);
+      for (const tool of fixture.tools) {
+        const { out } = convert(tool.inputSchema);
+        if (out === undefined) continue;
+        assert.deepEqual(geminiProblems(out), [], tool.name);
+      }
+    });
+  }
+
+  test("only the lossy conversions warn", () => {
+    const warnings = {};
+    for (const fixture of FIXTURES) {
+      for (const tool of fixture.tools) {
+        const converted = convert(tool.inputSchema);
+        if (converted.warnings.length) warnings[`${fixture.name}/${tool.name}`] = converted.warnings;
+        assert.deepEqual(converted.jsonPaths, [], tool.name);
+      }
+    }
+    assert.deepEqual(warnings, {
+      "github/create_pull_request_review": ["comments[]: anyOf of 2 objects merged into one"],
+    });
+  });
+
+  test("github create_pull_request_review: the comment union becomes one object", () => {
+    const tool = FIXTURES[0].tools.find((t) => t.name === "create_pull_request_review");
+    const { out } = convert(tool.inputSchema);
+    assert.deepEqual(out.required, ["owner", "repo", "pull_number", "body", "event"]);
+    assert.deepEqual(out.properties.event.enum, ["APPROVE", "REQUEST_CHANGES", "COMMENT"]);
+    assert.deepEqual(out.properties.comments.items, {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "The relative path to the file being commented on" },
+        position: { type: "number", description: "The position in the diff where you want to add a review comment" },
+        body: { type: "string", description: "Text of the review comment" },
+        line: { type: "number", description: "The line number in the file where you want to add a review comment" },
+      },
+      // Only what both branches require stays required
+      required: ["path", "body"],
+      description: "One of: {path, position, body}, {path, line, body}.",
+    });
+  });
+
+  test("github search_code: bounds move into the description", () => {
+    const tool = FIXTURES[0].tools.find((t) => t.name === "search_code");
+    assert.deepEqual(convert(tool.inputSchema).out, {
+      type: "object",
+      properties: {
+        q: { type: "string" },
+        order: { type: "string", enum: ["asc", "desc"] },
+        page: { type: "number", description: "(min 1)" },
+        per_page: { type: "number", description: "(min 1, max 100)" },
+      },
+      required: ["q"],
+    });
+  });
+
+  test("filesystem: defaults are described, tools without arguments get no parameters", () => {
+    const tools = FIXTURES[1].tools;
+    const edit = convert(tools.find((t) => t.name === "edit_file").inputSchema).out;
+    assert.equal(edit.properties.dryRun.description, "Preview changes using git-style diff format. Default: false.");
+    assert.deepEqual(edit.properties.edits.items.required, ["oldText", "newText"]);
+
+    const sizes = convert(tools.find((t) => t.name === "list_directory_with_sizes").inputSchema).out;
+    assert.deepEqual(sizes.properties.sortBy, {
+      type: "string",
+      description: 'Sort entries by name or size. Default: "name".',
+      enum: ["name", "size"],
+    });
+
+    const allowed = convert(tools.find((t) => t.name === "list_allowed_directories").inputSchema);
+    assert.equal(allowed.out, undefined);
+    assert.deepEqual(allowed.warnings, []);
+  });
+});
+
+describe("constructs the captured servers do not use", () => {
+  test("recursive $ref stops at the second level as JSON text", () => {
+    const { out, warnings, jsonPaths } = convert({
+      type: "object",
+      $defs: {
+        Node: { type: "object", properties: { name: { type: "string" }, children: { type: "array", items: { $ref: "#/$defs/Node" } } } },
+      },
+      properties: { root: { $ref: "#/$defs/Node", description: "Tree root" } },
+    });
+    assert.deepEqual(geminiProblems(out), []);
+    assert.equal(out.properties.root.description, "Tree root");
+    assert.deepEqual(out.properties.root.properties.children.items, {
+      type: "string",
+      description: "JSON-encoded Node (same shape as its parent).",
+    });
+    assert.deepEqual(warnings, ["root.children[]: recursive $ref Node; inner level is JSON text"]);
+    assert.deepEqual(jsonPaths, [["root", "children", "[]"]]);
+  });
+
+  test("a self-referencing allOf is reported as a cycle, not cut off by depth", () => {
+    const { out, warnings } = convert({
+      type: "object",
+      definitions: { A: { allOf: [{ $ref: "#/definitions/A" }, { type: "object", properties: { x: { type: "string" } } }] } },
+      properties: { a: { $ref: "#/definitions/A" } },
+    });
+    assert.deepEqual(out.properties.a, { type: "object", properties: { x: { type: "string" } } });
+    assert.deepEqual(warnings, ["a: allOf refers back to A; that branch is ignored"]);
+  });
+
+  test("nullable unions and type arrays map to nullable", () => {
+    const { out, warnings } = convert({
+      type: "object",
+      $defs: { L: { type: "object", properties: { v: { type: "number" }, next: { anyOf: [{ $ref: "#/$defs/L" }, { type: "null" }] } } } },
+      properties: { list: { $ref: "#/$defs/L" }, label: { type: ["string", "null"] }, mode: { oneOf: [{ const: "a" }, { const: "b" }] } },
+    });
+    assert.deepEqual(out.properties.label, { nullable: true, type: "string" });
+    assert.deepEqual(out.properties.mode, { type: "string", enum: ["a", "b"] });
+    assert.deepEqual(out.properties.list.properties.next, {
+      type: "string",
+      description: "JSON-encoded L (same shape as its parent).",
+      nullable: true,
+    });
+    assert.deepEqual(warnings, ["list.next: recursive $ref L; inner level is JSON text"]);
+  });
+
+  test("unions of different types keep the first branch and say so", () => {
+    const { out, warnings } = convert({
+      type: "object",
+      properties: { v: { oneOf: [{ type: "string", format: "uri" }, { type: "number" }] } },
+    });
+    assert.deepEqual(out.properties.v, { type: "string", description: "(format: uri) (Also accepts: number.)" });
+    assert.deepEqual(warnings, ["v: union of string | number reduced to string"]);
+  });
+
+  test("maps and objects without properties become JSON text", () => {
+    const { out, warnings, jsonPaths } = convert({
+      type: "object",
+      properties: {
+        env: { type: "object", additionalProperties: { type: "string" } },
+        meta: { type: "object", properties: {} },
+        value: {},
+      },
+    });
+    assert.deepEqual(geminiProblems(out), []);
+    assert.deepEqual(out.properties.env, { type: "string", description: "JSON-encoded object with free-form keys. Values: string." });
+    assert.deepEqual(jsonPaths, [["env"], ["meta"], ["value"]]);
+    assert.deepEqual(warnings, [
+      "env: map (additionalProperties) declared as JSON text",
+      "meta: object without properties declared as JSON text",
+      "value: accepts any value; declared as JSON text",
+    ]);
+  });
+
+  test("free-form root arguments travel as one JSON parameter", () => {
+    const { out, warnings, jsonPaths } = convert({ type: "object", additionalProperties: true });
+    assert.deepEqual(out, {
+      type: "object",
+      properties: { arguments_json: { type: "string", description: "All arguments as one JSON object." } },
+      required: ["arguments_json"],
+    });
+    assert.deepEqual(warnings, ["(root): free-form arguments passed as one JSON string"]);
+    assert.deepEqual(decodeJsonArgs({ arguments_json: '{"a":1}' }, jsonPaths), { a: 1 });
+  });
+
+  test("decodeJsonArgs restores JSON text and leaves everything else alone", () => {
+    const paths = [["env"], ["value"], ["root", "children", "[]"]];
+    const args = { env: '{"A":"1"}', value: "plain", root: { children: ['{"name":"c"}', { name: "d" }] }, other: '{"x":1}' };
+    assert.deepEqual(decodeJsonArgs(args, paths), {
+      env: { A: "1" },
+      value: "plain",
+      root: { children: [{ name: "c" }, { name: "d" }] },
+      other: '{"x":1}',
+    });
+    // The caller's object is not modified
+    assert.equal(args.env, '{"A":"1"}');
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+const STUB_SERVER = new URL("./fixtures/stub-mcp-server.mjs", import.meta.url).pathname;
+
+let tmpDir;
+let handler;
+let reloadMcpConfig;
+const sent = [];
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "odysseus-router-"));
+  fs.writeFileSync(
+    path.join(tmpDir, "mcp.json"),
+    JSON.stringify({ stub: { command: process.execPath, args: [STUB_SERVER] } })
+  );
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: "test",
+    WORKDIR: tmpDir,
+    JOBS_DIR: path.join(tmpDir, "jobs"),
+    MCP_CONFIG_PATH: path.join(tmpDir, "mcp.json"),
+  });
+  fs.mkdirSync(path.join(tmpDir, "jobs", "logs"), { recursive: true });
+
+  const { createMessageHandler } = await import("../src/services/message-router.mjs");
+  ({ reloadMcpConfig } = await import("../src/services/mcp-manager.mjs"));
+  handler = createMessageHandler({
+    sendMessageSafe: async (chatId, text) => sent.push(text),
+    // The shape worker.mjs's providerStatus() resolves to
+    providerStatus: async () => [
+      { name: "gemini", ok: true, model: "gemini-2.5-pro" },
+      { name: "codex", ok: false, error: "codex not found", lastError: { jobId: "j9", at: "2026-01-02", message: "spawn ENOENT" } },
+    ],
+  });
+});
+
+after(async () => {
+  // Stops the stub server so the test process can exit
+  fs.writeFileSync(path.join(tmpDir, "mcp.json"), "{}");
+  await reloadMcpConfig();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function run(text) {
+  sent.length = 0;
+  await handler.onMessage({ chat: { id: 1 }, text });
+  return sent.at(-1);
+}
+
+test("/providers lists every provider with its problems", async () => {
+  const reply = await run("/providers");
+  assert.doesNotMatch(reply, /Bot error/);
+  assert.match(reply, /^✅ gemini — gemini-2\.5-pro$/m);
+  assert.match(reply, /^❌ codex$/m);
+  assert.match(reply, /problem: codex not found/);
+  assert.match(reply, /last failure: \/job j9 \(2026-01-02\) spawn ENOENT/);
+  assert.doesNotMatch(reply, /schema approximations/);
+});
+
+test("/mcp shows each server's schema approximations", async () => {
+  const reply = await run("/mcp");
+  assert.match(reply, /^✅ stub — connected, 2 tools$/m);
+  assert.match(reply, /⚠️ schema approximations \(1\):\n {5}set_env vars: map \(additionalProperties\) declared as JSON text/);
+  assert.doesNotMatch(reply, /echo/);
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+// A local stand-in for an OpenAI-compatible server: the first completion asks for a tool,
+// the second (after the tool result comes back) answers.
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    if (req.method !== "POST" || req.url !== "/v1/chat/completions") {
+      res.writeHead(404).end();
+      return;
+    }
+    const parsed = JSON.parse(body);
+    requests.push({ headers: req.headers, body: parsed });
+
+    const message =
+      requests.length === 1
+        ? {
+            role: "assistant",
+            content: "Checking the file first.\n",
+            tool_calls: [
+              { id: "call_1", type: "function", function: { name: "stub_read", arguments: '{"path":"README.md","token":"tok-stub-secret"}' } },
+            ],
+          }
+        : { role: "assistant", content: "All done: the README is fine." };
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(
+      JSON.stringify({
+        model: parsed.model,
+        choices: [{ index: 0, message, finish_reason: message.tool_calls ? "tool_calls" : "stop" }],
+        usage: { prompt_tokens: 100 * requests.length, completion_tokens: 10, total_tokens: 100 * requests.length + 10 },
+      })
+    );
+  });
+});
+
+let tmpDir;
+let OpenAICompatProvider;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "odysseus-openai-"));
+
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: "test",
+    WORKDIR: tmpDir,
+    JOBS_DIR: path.join(tmpDir, "jobs"),
+    // No MCP servers: the requested tool is unknown and its error goes back to the model
+    MCP_CONFIG_PATH: path.join(tmpDir, "mcp.json"),
+    OPENAI_COMPAT_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    OPENAI_COMPAT_API_KEY: "sk-stub",
+    OPENAI_COMPAT_MODEL: "stub-model",
+  });
+  fs.mkdirSync(path.join(tmpDir, "jobs", "logs"), { recursive: true });
+  ({ default: OpenAICompatProvider } = await import("../src/providers/OpenAICompatProvider.mjs"));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("runs the tool loop until the model answers without tool calls", async () => {
+  const provider = new OpenAICompatProvider();
+  const logPath = path.join(tmpDir, "jobs", "logs", "job-t1.log.txt");
+  const job = { id: "t1", chatId: 1, prompt: "Is the README ok?", provider: "openai" };
+
+  const result = await provider.execute(job, { workdir: tmpDir, logPath });
+
+  assert.deepEqual(result.exitInfo, { code: 0, signal: null });
+  assert.equal(result.provider, "openai");
+  assert.equal(result.model, "stub-model");
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].headers.authorization, "Bearer sk-stub");
+  assert.equal(requests[0].body.model, "stub-model");
+  assert.deepEqual(
+    requests[0].body.messages.map((m) => m.role),
+    ["system", "user"]
+  );
+
+  // The second request replays the assistant's tool call and carries the tool's (error) result
+  const [, , assistant, toolMessage] = requests[1].body.messages;
+  assert.equal(assistant.role, "assistant");
+  assert.equal(assistant.tool_calls[0].id, "call_1");
+  assert.equal(toolMessage.role, "tool");
+  assert.equal(toolMessage.tool_call_id, "call_1");
+  assert.equal(JSON.parse(toolMessage.content).isError, true);
+
+  assert.equal(result.usage.requests, 2);
+  assert.equal(result.usage.promptTokens, 300);
+  assert.equal(result.usage.completionTokens, 20);
+  assert.equal(result.usage.toolLoopTokens, 110);
+  assert.equal(result.steps.length, 2);
+
+  assert.match(result.combinedTail, /Checking the file first\./);
+  assert.match(result.combinedTail, /\[tool\] stub_read ✗/);
+  assert.match(result.combinedTail, /All done: the README is fine\.$/);
+
+  // The stream is flushed once execute() has ended it
+  await new Promise((r) => setTimeout(r, 50));
+  const log = fs.readFileSync(logPath, "utf8");
+  assert.match(log, /exit: \{"code":0,"signal":null\}/);
+  // Tool arguments are logged redacted, like in the trace
+  assert.match(log, /\[tool\] stub_read \{"path":"README\.md","token":"\[redacted\]"\}/);
+  assert.doesNotMatch(log, /tok-stub-secret/);
+});
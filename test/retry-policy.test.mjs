@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+let classifyFailure;
+
+before(async () => {
+  Object.assign(process.env, { TELEGRAM_BOT_TOKEN: "test", WORKDIR: process.cwd() });
+  ({ classifyFailure } = await import("../src/services/retry-policy.mjs"));
+});
+
+const exitInfo = { code: 1, signal: null };
+
+test("Codex's own error lines are retried", () => {
+  for (const outputTail of [
+    "[2025-06-01T12:00:00] ERROR: stream disconnected before completion: 503 Service Unavailable\n",
+    "\x1b[2m[2025-06-01T12:00:00]\x1b[0m stream error: exceeded retry limit, last status: 429 Too Many Requests\n",
+  ]) {
+    assert.equal(classifyFailure({ exitInfo, outputTail }).retryable, true, outputTail);
+  }
+});
+
+test("errors in the job's own output are not", () => {
+  for (const outputTail of [
+    "> npm test\nerror: connect ECONNREFUSED 127.0.0.1:5432\n",
+    "ERROR: fetch failed\n",
+    "[vite] ERROR socket hang up\n",
+  ]) {
+    assert.deepEqual(classifyFailure({ exitInfo, outputTail }), { retryable: false, reason: "exit code 1" }, outputTail);
+  }
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+let tmpDir;
+let journalPath;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "odysseus-store-"));
+  Object.assign(process.env, { TELEGRAM_BOT_TOKEN: "test", WORKDIR: tmpDir, JOBS_DIR: tmpDir });
+  journalPath = path.join(tmpDir, "store.journal.jsonl");
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A fresh module instance stands in for a bot restart
+let restarts = 0;
+function restart() {
+  restarts += 1;
+  return import(`../src/services/store.mjs?restart=${restarts}`);
+}
+
+test("a torn journal tail is cut off before new transactions are appended", async () => {
+  const first = await restart();
+  first.transact((tx) => tx.put("jobs", "a", { id: "a" }));
+
+  // Crash in the middle of writing the next transaction
+  fs.appendFileSync(journalPath, '{"at":"2026-01-01T00:00:00Z","ops":[{"t":"put","tab');
+
+  const second = await restart();
+  assert.deepEqual(second.getRecord("jobs", "a"), { id: "a" });
+  second.transact((tx) => tx.put("jobs", "b", { id: "b" }));
+  assert.equal(fs.readFileSync(journalPath, "utf8").split("\n").filter(Boolean).length, 2);
+
+  const third = await restart();
+  assert.deepEqual(
+    third.listRecords("jobs").map((j) => j.id),
+    ["a", "b"]
+  );
+});
+
+test("a bad line before the end of the journal is still fatal", async () => {
+  fs.appendFileSync(journalPath, "not json\n");
+  const fourth = await restart();
+  fs.appendFileSync(journalPath, '{"ops":[]}\n');
+  assert.throws(() => fourth.openStore(), /Corrupt store journal at line 3/);
+});
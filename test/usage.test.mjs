@@ -0,0 +1,19 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+let mergeUsage;
+
+before(async () => {
+  Object.assign(process.env, { TELEGRAM_BOT_TOKEN: "test", WORKDIR: process.cwd() });
+  ({ mergeUsage } = await import("../src/services/usage.mjs"));
+});
+
+test("merged cost is unknown when any attempt is unpriced", () => {
+  const priced = { model: "gemini-2.5-pro", totalTokens: 1000, promptTokens: 800, completionTokens: 200, costUsd: 0.003 };
+  const unpriced = { model: "local-model", totalTokens: 500, promptTokens: 400, completionTokens: 100, costUsd: null };
+
+  assert.equal(mergeUsage(priced, unpriced).costUsd, null);
+  assert.equal(mergeUsage(unpriced, priced).costUsd, null);
+  assert.equal(mergeUsage(priced, unpriced).totalTokens, 1500);
+  assert.equal(mergeUsage(priced, priced).costUsd, 0.006);
+});